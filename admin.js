@@ -0,0 +1,218 @@
+// =====================
+// Admin lead dashboard - leads and their analyses from /api/admin/leads (needs ADMIN_TOKEN)
+// =====================
+class LeadDashboard {
+  constructor() {
+    this.token = sessionStorage.getItem('adminToken') || '';
+    this.page = 1;
+    this.pages = 1;
+
+    this.signInForm = document.getElementById('sign-in');
+    this.dashboard = document.getElementById('dashboard');
+    this.filtersForm = document.getElementById('filters');
+    this.rows = document.getElementById('lead-rows');
+    this.detail = document.getElementById('lead-detail');
+
+    this.signInForm.addEventListener('submit', e => {
+      e.preventDefault();
+      this.signIn(document.getElementById('admin-token').value.trim());
+    });
+    document.getElementById('sign-out').addEventListener('click', () => this.signOut());
+    this.filtersForm.addEventListener('submit', e => { e.preventDefault(); this.load(1); });
+    this.filtersForm.addEventListener('reset', () => setTimeout(() => this.load(1)));
+    document.getElementById('export-csv').addEventListener('click', () => this.exportCsv());
+    document.getElementById('prev-page').addEventListener('click', () => this.page > 1 && this.load(this.page - 1));
+    document.getElementById('next-page').addEventListener('click', () => this.page < this.pages && this.load(this.page + 1));
+    this.rows.addEventListener('click', e => {
+      const row = e.target.closest('[data-lead]');
+      if (row) this.showLead(row.dataset.lead);
+    });
+    this.detail.addEventListener('click', e => {
+      const link = e.target.closest('[data-json]');
+      if (link) this.openJson(link.dataset.json);
+    });
+
+    if (this.token) this.load(1); else this.showSignIn();
+  }
+
+  // ---------- auth ----------
+  async signIn(token) {
+    this.token = token;
+    sessionStorage.setItem('adminToken', token);
+    await this.load(1);
+  }
+
+  signOut() {
+    this.token = '';
+    sessionStorage.removeItem('adminToken');
+    this.showSignIn();
+  }
+
+  showSignIn(message = '') {
+    this.dashboard.classList.add('hidden');
+    document.getElementById('sign-out').classList.add('hidden');
+    this.signInForm.classList.remove('hidden');
+    const error = document.getElementById('sign-in-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+
+  async request(url) {
+    const res = await fetch(url, { headers: { Authorization: `Bearer ${this.token}` } });
+    if (res.status === 401 || res.status === 403) {
+      this.showSignIn(res.status === 401 ? 'That token was not accepted.' : 'That API key does not have the admin scope.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    return res;
+  }
+
+  // ---------- lead list ----------
+  query(page) {
+    const params = new URLSearchParams();
+    new FormData(this.filtersForm).forEach((value, name) => { if (String(value).trim()) params.set(name, String(value).trim()); });
+    if (page) params.set('page', page);
+    return params.toString();
+  }
+
+  async load(page) {
+    try {
+      const res = await this.request(`api/admin/leads?${this.query(page)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+      this.signInForm.classList.add('hidden');
+      this.dashboard.classList.remove('hidden');
+      document.getElementById('sign-out').classList.remove('hidden');
+
+      this.page = data.page;
+      this.pages = data.pages;
+      this.renderLeads(data);
+    } catch (err) {
+      console.warn('Loading leads failed:', err);
+      if (!this.dashboard.classList.contains('hidden')) this.rows.innerHTML = `<tr><td colspan="7" class="text-error">${this.escapeHtml(err.message)}</td></tr>`;
+    }
+  }
+
+  renderLeads(data) {
+    this.rows.innerHTML = data.leads.map(lead => `
+      <tr class="hover cursor-pointer" data-lead="${this.escapeHtml(lead.id)}">
+        <td class="whitespace-nowrap">${this.formatDate(lead.lastSubmittedAt || lead.timestamp)}</td>
+        <td>${this.escapeHtml(lead.fullName)}<br><span class="text-xs text-base-content/60">${this.escapeHtml(lead.email)}</span></td>
+        <td>${this.escapeHtml(lead.company)}</td>
+        <td>${this.escapeHtml(lead.website)}</td>
+        <td class="text-sm">${(lead.keywords || []).map(k => this.escapeHtml(k)).join(', ')}</td>
+        <td>${lead.analysisCount}</td>
+        <td>${this.renderScore(lead.score)}</td>
+      </tr>
+    `).join('') || '<tr><td colspan="7" class="text-base-content/60">No leads match these filters.</td></tr>';
+
+    document.getElementById('lead-count').textContent = `${data.total} lead${data.total === 1 ? '' : 's'}`;
+    document.getElementById('page-label').textContent = `Page ${data.page} of ${data.pages}`;
+  }
+
+  renderScore(score) {
+    if (score === null || score === undefined) return '<span class="text-base-content/50">-</span>';
+    return `<span class="font-bold ${score > 50 ? 'text-success' : score > 30 ? 'text-warning' : 'text-error'}">${score}%</span>`;
+  }
+
+  // ---------- lead detail ----------
+  async showLead(id) {
+    try {
+      const res = await this.request(`api/admin/leads/${encodeURIComponent(id)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      this.detail.innerHTML = this.renderLead(data.lead);
+      this.detail.scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+      console.warn('Loading lead failed:', err);
+    }
+  }
+
+  renderLead(lead) {
+    const field = (label, value) => value ? `<div><span class="text-base-content/60">${label}:</span> ${this.escapeHtml(value)}</div>` : '';
+    return `
+      <div class="card bg-base-100 shadow-xl">
+        <div class="card-body">
+          <h2 class="card-title text-2xl">${this.escapeHtml(lead.fullName || lead.email)}</h2>
+          <div class="grid md:grid-cols-2 gap-1 text-sm mb-4">
+            ${field('Email', lead.email)}
+            ${field('Phone', lead.phone)}
+            ${field('Company', lead.company)}
+            ${field('Website', lead.website)}
+            ${field('First submitted', this.formatDate(lead.timestamp))}
+            ${lead.submissions > 1 ? field('Last submitted', `${this.formatDate(lead.lastSubmittedAt)} (${lead.submissions} submissions)`) : ''}
+            ${field('Keywords', (lead.keywords || []).join(', '))}
+            ${field('Competitors', (lead.competitors || []).join(', '))}
+            ${field('Locations', (lead.locations || []).join('; '))}
+          </div>
+          <h3 class="font-semibold text-lg">Analyses</h3>
+          <div class="overflow-x-auto">
+            <table class="table table-sm">
+              <thead><tr><th>Date</th><th>Source</th><th>Status</th><th>Score</th><th>Mentions</th><th>Keywords</th><th></th></tr></thead>
+              <tbody>
+                ${lead.analyses.map(a => `
+                  <tr>
+                    <td class="whitespace-nowrap">${this.formatDate(a.createdAt)}</td>
+                    <td>${this.escapeHtml(a.source)}</td>
+                    <td>${this.escapeHtml(a.status || '-')}</td>
+                    <td>${this.renderScore(a.overallScore)}</td>
+                    <td>${a.totalMentions ?? '-'}</td>
+                    <td class="text-sm">${a.keywords.map(k => this.escapeHtml(k)).join(', ')}</td>
+                    <td class="whitespace-nowrap">
+                      <button type="button" class="link link-primary text-sm" data-json="api/admin/analyses/${encodeURIComponent(a.id)}">Results</button>
+                      · <button type="button" class="link link-primary text-sm" data-json="api/admin/analyses/${encodeURIComponent(a.id)}/transcripts">Transcripts</button>
+                    </td>
+                  </tr>
+                `).join('') || '<tr><td colspan="7" class="text-base-content/60">No saved analyses for this lead.</td></tr>'}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Admin routes need the token, which a plain link can't send - fetch the JSON and open it in a new tab
+  async openJson(url) {
+    const tab = window.open('', '_blank');
+    try {
+      const res = await this.request(url);
+      if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+      const blob = new Blob([JSON.stringify(await res.json(), null, 2)], { type: 'application/json' });
+      if (tab) tab.location.href = URL.createObjectURL(blob);
+    } catch (err) {
+      console.warn('Loading analysis failed:', err);
+      if (tab) tab.close();
+    }
+  }
+
+  // ---------- CSV export ----------
+  async exportCsv() {
+    try {
+      const res = await this.request(`api/admin/leads.csv?${this.query()}`);
+      if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+
+      const name = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'leads.csv';
+      const url = URL.createObjectURL(await res.blob());
+      const link = Object.assign(document.createElement('a'), { href: url, download: name });
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.warn('CSV export failed:', err);
+    }
+  }
+
+  // ---------- helpers ----------
+  formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date) ? '-' : date.toLocaleString();
+  }
+
+  escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => new LeadDashboard());
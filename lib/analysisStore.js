@@ -0,0 +1,75 @@
+// Saved Analysis Store - full results of every analysis by ID, so failed platforms can be retried later
+//
+// One JSON document per analysis (data/analyses/<id>.json). Only what a re-run needs is kept
+// alongside the results, plus the lead's email to tie it back to them - contact details stay in the
+// leads file - and, for scans from the public form, the owner that may read it back through the form.
+const crypto = require('crypto');
+const path = require('path');
+const fileStore = require('./fileStore');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class AnalysisStore {
+    constructor(dir = 'analyses') {
+        this.dir = dir;
+    }
+
+    fileFor(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    async create({ website, company, competitors, keywords, aliases, industry, locations = [], languages = [], samples = 1, models = {} }, results, source = 'analyze', lead = null, owner = null) {
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        const record = {
+            id,
+            source,
+            lead: lead ? String(lead).toLowerCase() : null,
+            owner,
+            createdAt: now,
+            updatedAt: now,
+            request: { website, company: company || '', competitors, keywords, aliases, industry, locations, languages, samples, models },
+            results: { ...results, analysisId: id }
+        };
+
+        await fileStore.writeJsonAtomic(this.fileFor(id), record);
+        return record;
+    }
+
+    // IDs come from URLs - anything that isn't one of ours never reaches the filesystem
+    async get(id) {
+        if (!ID_PATTERN.test(String(id))) return null;
+        return fileStore.readJson(this.fileFor(id), null);
+    }
+
+    // One line per saved analysis, newest first - what the admin lead views list and filter on
+    async list() {
+        const files = await fileStore.listFiles(this.dir);
+        const records = await Promise.all(files
+            .filter(file => ID_PATTERN.test(path.basename(file, '.json')))
+            .map(file => fileStore.readJson(path.join(this.dir, file), null)));
+
+        return records.filter(Boolean).map(record => ({
+            id: record.id,
+            source: record.source,
+            lead: record.lead || null,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            website: record.request.website,
+            keywords: record.request.keywords || [],
+            status: record.results.status || null,
+            overallScore: record.results.summary ? record.results.summary.overallScore : null,
+            totalMentions: record.results.summary ? record.results.summary.totalMentions : null
+        })).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async saveResults(id, results) {
+        return fileStore.updateJson(this.fileFor(id), record => ({
+            ...record,
+            updatedAt: new Date().toISOString(),
+            results: { ...results, analysisId: id }
+        }));
+    }
+}
+
+module.exports = AnalysisStore;
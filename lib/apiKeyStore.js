@@ -0,0 +1,133 @@
+// API Key Store - keys for scripted access (data/api-keys.json), each with scopes and a daily scan quota
+//
+// Only a SHA-256 of each key is kept; the key itself is returned once, when it is created.
+const crypto = require('crypto');
+const fileStore = require('./fileStore');
+
+// analyze: start scans and follow their jobs, history: read analyses, history and projects,
+// admin: /api/admin/*
+const SCOPES = ['analyze', 'history', 'admin'];
+const DEFAULT_QUOTA_PER_DAY = 100;
+const MAX_QUOTA_PER_DAY = 100000;
+const KEY_PREFIX = 'lvk_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function toList(value) {
+    if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(v => v.length > 0);
+    return Array.isArray(value) ? value.map(v => String(v).trim()).filter(v => v.length > 0) : [];
+}
+
+// Validates create input; returns { errors, values }. quotaPerDay is scans a day, 0 for no quota
+function normalizeKeyInput(input = {}) {
+    const errors = [];
+    const values = {};
+
+    values.name = String(input.name || '').trim();
+    if (!values.name) errors.push('name is required');
+    else if (values.name.length > 100) errors.push('name must be at most 100 characters');
+
+    values.scopes = [...new Set(toList(input.scopes))];
+    if (values.scopes.length === 0) errors.push(`at least one scope is required (${SCOPES.join(', ')})`);
+    values.scopes.filter(scope => !SCOPES.includes(scope))
+        .forEach(scope => errors.push(`unknown scope "${scope}" (use ${SCOPES.join(', ')})`));
+
+    values.quotaPerDay = input.quotaPerDay === undefined ? DEFAULT_QUOTA_PER_DAY : Number(input.quotaPerDay);
+    if (!Number.isInteger(values.quotaPerDay) || values.quotaPerDay < 0 || values.quotaPerDay > MAX_QUOTA_PER_DAY) {
+        errors.push(`quotaPerDay must be a whole number from 0 to ${MAX_QUOTA_PER_DAY}`);
+    }
+
+    return { errors, values };
+}
+
+// A key record without its hash, with today's usage
+function describe({ hash, usage, ...record }) {
+    const used = usage && usage.day === utcDay() ? usage.count : 0;
+    return { ...record, usedToday: used };
+}
+
+class ApiKeyStore {
+    constructor(file = 'api-keys.json') {
+        this.file = file;
+    }
+
+    async list() {
+        const keys = await fileStore.readJson(this.file, []);
+        return keys.map(describe);
+    }
+
+    // { key, apiKey } - key is the secret to hand over, it can't be recovered later
+    async create(values) {
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: crypto.randomUUID(),
+            name: values.name,
+            scopes: values.scopes,
+            quotaPerDay: values.quotaPerDay,
+            // Enough of the key to recognise it in a list
+            hint: `${key.slice(0, KEY_PREFIX.length + 4)}…`,
+            hash: hashKey(key),
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            usage: null
+        };
+        await fileStore.updateJson(this.file, (keys = []) => [...keys, record], []);
+        return { key, apiKey: describe(record) };
+    }
+
+    async revoke(id) {
+        let revoked = null;
+        await fileStore.updateJson(this.file, (keys = []) => keys.map(record => {
+            if (record.id !== id || record.revokedAt) return record;
+            revoked = { ...record, revokedAt: new Date().toISOString() };
+            return revoked;
+        }), []);
+        return revoked && describe(revoked);
+    }
+
+    // The active key record for a presented key, or null
+    async authenticate(key) {
+        if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+        const hash = hashKey(key);
+        const keys = await fileStore.readJson(this.file, []);
+        const record = keys.find(candidate => candidate.hash === hash);
+        return record && !record.revokedAt ? describe(record) : null;
+    }
+
+    // Counts one scan against the key's quota for the UTC day:
+    // { allowed, limit, remaining, retryAfterSeconds, revoked }. Unknown and revoked keys get nothing
+    async consume(id) {
+        const now = new Date();
+        let outcome = { allowed: false, limit: 0, remaining: 0, retryAfterSeconds: null, revoked: false };
+
+        await fileStore.updateJson(this.file, (keys = []) => keys.map(record => {
+            if (record.id !== id) return record;
+            if (record.revokedAt) {
+                outcome = { ...outcome, revoked: true };
+                return record;
+            }
+
+            const used = record.usage && record.usage.day === utcDay(now) ? record.usage.count : 0;
+            const limit = record.quotaPerDay;
+            if (limit > 0 && used >= limit) {
+                const tomorrow = new Date(`${utcDay(now)}T00:00:00.000Z`).getTime() + DAY_MS;
+                outcome = { allowed: false, limit, remaining: 0, retryAfterSeconds: Math.ceil((tomorrow - now) / 1000), revoked: false };
+                return record;
+            }
+
+            outcome = { allowed: true, limit, remaining: limit > 0 ? limit - used - 1 : null, retryAfterSeconds: null, revoked: false };
+            return { ...record, usage: { day: utcDay(now), count: used + 1 }, lastUsedAt: now.toISOString() };
+        }), []);
+
+        return outcome;
+    }
+}
+
+module.exports = { ApiKeyStore, normalizeKeyInput, SCOPES };
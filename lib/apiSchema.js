@@ -0,0 +1,25 @@
+// API Schema - the versioned contract for analysis requests and results (schema/analysis.schema.json)
+//
+// Served at /api/schema and validated in the routes, so a backend that drifts from the contract
+// fails loudly instead of handing the frontend a payload it silently misreads.
+const { validate } = require('./jsonSchema');
+const schema = require('../schema/analysis.schema.json');
+
+const SCHEMA_VERSION = schema.version;
+
+// Readable errors for the named definition ("analyzeRequest", "analysisResults", ...), empty when valid
+function validatePayload(name, value, path = name) {
+    return validate(schema, name, value, path);
+}
+
+function assertValid(name, value, path = name) {
+    const errors = validatePayload(name, value, path);
+    if (errors.length > 0) {
+        const error = new Error(`${name} does not match schema v${SCHEMA_VERSION}: ${errors.slice(0, 5).join('; ')}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+    return value;
+}
+
+module.exports = { schema, SCHEMA_VERSION, validatePayload, assertValid };
@@ -0,0 +1,210 @@
+// Brand Matcher - finds a brand in free text from its name, domain and alternate names
+//
+// Text and aliases are compared as "compact" strings (lowercase letters and digits only) over windows
+// of consecutive words, so "Green Banana SEO", "GreenBanana SEO's", "green-banana seo" and
+// "greenbananaseo.com" all match the same brand while "banana" inside "bananas" never does.
+// Compact strings are NFKD-normalized with diacritics folded ("Café Étoile" = "cafe etoile"), and
+// scripts written without spaces (Chinese, Japanese, Thai) are matched character by character.
+// Aliases taken from the website only match where the text writes them the way a domain is written: the
+// full domain ("plumbing.com"), or the name before the TLD as one joined word ("GreenBananaSEO") or
+// hyphenated as in the domain - so plumbing.com isn't found in "the best plumbing companies".
+const { extractDomain } = require('./urls');
+
+const LEGAL_SUFFIXES = /\b(inc|llc|l\.l\.c|ltd|limited|corp|corporation|co|company|gmbh|plc|pty|sa|srl|sas|sarl|sl|ltee|ltée)\.?$/iu;
+const MIN_ALIAS_LENGTH = 3;
+const MAX_WINDOW = 6;
+// Letters NFKD leaves alone but nobody types consistently
+const LETTER_FOLDS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+const WORD_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}])[\p{L}\p{M}\p{N}])+/gu;
+
+// Lowercase, compatibility-decomposed, without accents: "Crème Brûlée" -> "creme brulee", "ＡＣＭＥ" -> "acme"
+function foldText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .toLowerCase()
+        .replace(/[ßæœøłđðþı]/g, letter => LETTER_FOLDS[letter]);
+}
+
+function compact(text) {
+    return foldText(text).replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// "GreenBananaSEO" -> "Green Banana SEO", "HubSpot" -> "Hub Spot"
+function splitCamelCase(text) {
+    return String(text || '')
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+        .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2');
+}
+
+// Words with their character offsets in the original text; apostrophes split possessives off
+// ("Acme's" -> "Acme", "s") and every Han / kana / Thai character is a word of its own
+function tokenize(text) {
+    const tokens = [];
+    const pattern = new RegExp(WORD_PATTERN.source, WORD_PATTERN.flags);
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ word: match[0], compact: compact(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// "GreenBananaSEO" or "iPhone", not "plumbing" or "Best" - a domain name only counts written like this
+function isJoinedWord(word) {
+    return /\s/.test(splitCamelCase(word));
+}
+
+// Typos allowed for an alias of this length - short names must match exactly
+function allowedDistance(length) {
+    if (length >= 12) return 2;
+    if (length >= 6) return 1;
+    return 0;
+}
+
+function buildAliases({ name, website, aliases = [] }) {
+    const candidates = [];
+    // kind: 'name' for names and aliases, 'domain' for the full domain, 'domainName' for the domain without its TLD
+    const add = (value, kind = 'name') => {
+        const text = String(value || '').replace(/\s+/g, ' ').trim();
+        if (text) candidates.push({ text, kind });
+    };
+
+    for (const value of [name, ...aliases]) {
+        add(value);
+        add(splitCamelCase(value));
+        add(String(value || '').replace(LEGAL_SUFFIXES, '').replace(/[,\s]+$/, ''));
+    }
+
+    if (website) {
+        const domain = extractDomain(website);
+        add(domain, 'domain');
+        // Domain without its TLD(s): "greenbananaseo.com" -> "greenbananaseo", "acme.co.uk" -> "acme"
+        add(domain.split('.')[0], 'domainName');
+    }
+
+    // A name or alias that compacts to the same string as the domain keeps matching as free text
+    const seen = new Set();
+    return candidates.filter(({ text }) => {
+        const key = compact(text);
+        if (key.length < MIN_ALIAS_LENGTH || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).map(({ text, kind }) => ({
+        text,
+        compact: compact(text),
+        words: Math.max(1, tokenize(text).length),
+        kind
+    }));
+}
+
+class BrandMatcher {
+    constructor({ name = '', website = '', aliases = [], fuzzy = true } = {}) {
+        this.name = name || (website ? extractDomain(website) : '');
+        this.website = website;
+        this.domain = website ? extractDomain(website).toLowerCase() : '';
+        this.fuzzy = fuzzy;
+        this.aliases = buildAliases({ name, website, aliases });
+        // A Japanese or Chinese name is one word per character, so it may need a wider window
+        this.maxWindow = Math.max(MAX_WINDOW, ...this.aliases.map(alias => alias.words));
+    }
+
+    // Every place the brand appears: [{ alias, text, start, end, fuzzy, distance }]
+    findMentions(content) {
+        const tokens = tokenize(content || '');
+        const mentions = [];
+        let coveredUntil = -1;
+
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].start < coveredUntil) continue;
+
+            const match = this.matchAt(content, tokens, i);
+
+            // A typo-level match can swallow a leading list number or stray word - prefer a closer match one word later
+            if (match && match.distance > 0) {
+                const next = this.matchAt(content, tokens, i + 1);
+                if (next && next.distance < match.distance) continue;
+            }
+
+            if (match) {
+                const start = tokens[i].start;
+                const end = tokens[i + match.size - 1].end;
+                mentions.push({
+                    alias: match.alias.text,
+                    text: content.slice(start, end),
+                    start,
+                    end,
+                    fuzzy: match.distance > 0,
+                    distance: match.distance
+                });
+                coveredUntil = end;
+            }
+        }
+
+        return mentions;
+    }
+
+    // Longest/closest alias match starting at token i
+    matchAt(content, tokens, i) {
+        let best = null;
+        let joined = '';
+        // Whether the words so far are joined the way a domain joins them: by dots and hyphens, or by hyphens only
+        let dotted = true;
+        let hyphenated = true;
+
+        for (let size = 1; size <= this.maxWindow && i + size <= tokens.length; size++) {
+            const token = tokens[i + size - 1];
+            if (size > 1) {
+                const gap = content.slice(tokens[i + size - 2].end, token.start);
+                dotted = dotted && (gap === '.' || gap === '-');
+                hyphenated = hyphenated && gap === '-';
+            }
+            joined += token.compact;
+
+            for (const alias of this.aliases) {
+                if (alias.kind === 'domain' && !(size > 1 && dotted)) continue;
+                if (alias.kind === 'domainName' && !(size === 1 ? isJoinedWord(token.word) : hyphenated && alias.words > 1)) continue;
+                const slack = this.fuzzy ? allowedDistance(alias.compact.length) : 0;
+                if (Math.abs(joined.length - alias.compact.length) > slack) continue;
+
+                const distance = slack === 0 ?
+                    (joined === alias.compact ? 0 : Infinity) :
+                    levenshtein(joined, alias.compact);
+
+                // Closest first, then longest - "Acme Digital" over "Acme" when both match exactly
+                if (distance <= slack && (!best || distance < best.distance || (distance === best.distance && size > best.size))) {
+                    best = { alias, size, distance };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    isMentioned(content) {
+        return this.findMentions(content).length > 0;
+    }
+}
+
+function createBrandMatcher(options) {
+    return new BrandMatcher(options);
+}
+
+module.exports = { BrandMatcher, createBrandMatcher, buildAliases, foldText, compact, splitCamelCase, tokenize, levenshtein, UNSPACED_SCRIPT };
@@ -0,0 +1,113 @@
+// Citations - normalizes the sources Perplexity / Gemini attach to an answer and says who owns them
+const { extractDomain } = require('./urls');
+
+// Third-party source types the SEO team acts on differently
+const SOURCE_CATEGORIES = {
+    directory: ['clutch.co', 'upcity.com', 'designrush.com', 'goodfirms.co', 'expertise.com', 'thumbtack.com',
+        'angi.com', 'houzz.com', 'yellowpages.com', 'manta.com', 'sortlist.com', 'agencyspotter.com',
+        'themanifest.com', 'crunchbase.com', 'bbb.org', 'chamberofcommerce.com', 'mapquest.com'],
+    review: ['yelp.com', 'trustpilot.com', 'g2.com', 'capterra.com', 'tripadvisor.com', 'glassdoor.com',
+        'sitejabber.com', 'trustradius.com', 'getapp.com', 'softwareadvice.com', 'consumeraffairs.com'],
+    social: ['linkedin.com', 'facebook.com', 'instagram.com', 'x.com', 'twitter.com', 'youtube.com', 'tiktok.com'],
+    forum: ['reddit.com', 'quora.com', 'stackexchange.com', 'stackoverflow.com'],
+    reference: ['wikipedia.org', 'wikidata.org'],
+    maps: ['google.com', 'maps.google.com', 'apple.com', 'bing.com']
+};
+
+// Gemini grounding links go through a Google redirect; the real site is in the chunk title
+const REDIRECT_HOSTS = ['vertexaisearch.cloud.google.com'];
+
+function sourceCategory(domain) {
+    for (const [category, domains] of Object.entries(SOURCE_CATEGORIES)) {
+        if (domains.some(known => domain === known || domain.endsWith(`.${known}`))) return category;
+    }
+    return 'other';
+}
+
+function sameSite(domain, siteDomain) {
+    return !!siteDomain && (domain === siteDomain || domain.endsWith(`.${siteDomain}`));
+}
+
+// [{ url, title }] or ['https://...'] -> unique [{ url, title, domain }]
+function normalizeCitations(raw = []) {
+    const seen = new Set();
+    const citations = [];
+
+    for (const item of raw) {
+        const source = typeof item === 'string' ? { url: item } : (item || {});
+        if (!source.url) continue;
+
+        let domain = extractDomain(source.url).toLowerCase();
+        if (REDIRECT_HOSTS.includes(domain) && source.title && /^[\w.-]+\.[a-z]{2,}$/i.test(source.title)) {
+            domain = extractDomain(source.title).toLowerCase();
+        }
+
+        const key = source.url;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        citations.push({ url: source.url, title: source.title || null, domain });
+    }
+
+    return citations;
+}
+
+// Tags each citation as the client's, a listed competitor's or a third-party source
+function classifyCitations(citations, brands) {
+    return citations.map(citation => {
+        if (sameSite(citation.domain, brands.client.domain)) {
+            return { ...citation, owner: 'client', category: 'own-site' };
+        }
+
+        const competitor = brands.competitors.find(c => sameSite(citation.domain, c.domain));
+        if (competitor) {
+            return { ...citation, owner: 'competitor', competitor: competitor.domain, category: 'competitor-site' };
+        }
+
+        return { ...citation, owner: 'third-party', category: sourceCategory(citation.domain) };
+    });
+}
+
+// Roll classified citations from many responses up into who got cited and which sources drive answers
+function summarizeCitations(responses) {
+    const summary = {
+        totalCitations: 0,
+        responsesWithCitations: 0,
+        clientCited: 0,
+        clientUrls: [],
+        competitors: {},
+        topSources: []
+    };
+    const sources = new Map();
+
+    for (const citations of responses) {
+        if (!citations || citations.length === 0) continue;
+        summary.responsesWithCitations++;
+        summary.totalCitations += citations.length;
+
+        if (citations.some(c => c.owner === 'client')) summary.clientCited++;
+
+        for (const citation of citations) {
+            if (citation.owner === 'client' && !summary.clientUrls.includes(citation.url)) {
+                summary.clientUrls.push(citation.url);
+            } else if (citation.owner === 'competitor') {
+                summary.competitors[citation.competitor] = (summary.competitors[citation.competitor] || 0) + 1;
+            } else if (citation.owner === 'third-party') {
+                const source = sources.get(citation.domain) || {
+                    domain: citation.domain,
+                    category: citation.category,
+                    count: 0,
+                    urls: []
+                };
+                source.count++;
+                if (source.urls.length < 5 && !source.urls.includes(citation.url)) source.urls.push(citation.url);
+                sources.set(citation.domain, source);
+            }
+        }
+    }
+
+    summary.topSources = Array.from(sources.values()).sort((a, b) => b.count - a.count).slice(0, 15);
+    return summary;
+}
+
+module.exports = { normalizeCitations, classifyCitations, summarizeCitations, sourceCategory };
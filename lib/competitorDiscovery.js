@@ -0,0 +1,127 @@
+// Competitor Discovery - every business the models recommend, ranked by how often they show up
+//
+// Works from "observations": the ranked entity list of one response, tagged with its platform and
+// keyword. They come from a fresh analysis or from the history store, so the same ranking backs
+// the report and the /api/competitors/discovered endpoint.
+const { compact } = require('./brandMatcher');
+const { entityMatches } = require('./rankedListParser');
+const { rankWeight } = require('./shareOfVoice');
+const { extractDomain } = require('./urls');
+
+const MAX_NAME_WORDS = 8;
+
+// Entities from every successful platform/keyword of an analysis
+function observationsFromResults(platformResults) {
+    const observations = [];
+    for (const [platform, platformResult] of Object.entries(platformResults || {})) {
+        if (platformResult.error) continue;
+        for (const [keyword, keywordResult] of Object.entries(platformResult.keywordResults || {})) {
+            if (keywordResult.error || !keywordResult.rankedList) continue;
+            observations.push({ platform, keyword, entities: keywordResult.rankedList });
+        }
+    }
+    return observations;
+}
+
+function isDomainName(name) {
+    return /^[\w-]+(\.[\w-]+)*\.[a-z]{2,}$/i.test(name);
+}
+
+// "WebFX", "webfx.com" and "WebFX Inc" should land in the same bucket
+function entityKey(entity) {
+    const name = isDomainName(entity.name) ? entity.name.split('.')[0] : entity.name;
+    return compact(name.replace(/\b(inc|llc|ltd|corp|co)\.?$/i, ''));
+}
+
+// Skip list noise such as "Pricing" or sentence fragments the parser picked up
+function looksLikeBrand(entity) {
+    const name = entity.name || '';
+    if (name.length < 2 || name.split(/\s+/).length > MAX_NAME_WORDS) return false;
+    if (isDomainName(name) || entity.url) return true;
+    return /\p{Lu}|\d/u.test(name);
+}
+
+function discoverCompetitors(observations, brands, { limit = 10 } = {}) {
+    const buckets = new Map();
+    let totalAppearances = 0;
+    // Rank-weighted like the share-of-voice report; the client counts towards the total
+    let totalWeight = 0;
+
+    for (const observation of observations) {
+        for (const entity of observation.entities || []) {
+            if (!looksLikeBrand(entity)) continue;
+            totalWeight += rankWeight(entity.rank);
+            if (entityMatches(brands.client, entity)) continue;
+
+            const key = entityKey(entity);
+            if (!key) continue;
+
+            const bucket = buckets.get(key) || {
+                names: {},
+                domain: null,
+                appearances: 0,
+                weight: 0,
+                platforms: new Set(),
+                keywords: new Set(),
+                ranks: []
+            };
+
+            bucket.names[entity.name] = (bucket.names[entity.name] || 0) + 1;
+            if (!bucket.domain && entity.url) bucket.domain = extractDomain(entity.url).toLowerCase();
+            if (!bucket.domain && isDomainName(entity.name)) bucket.domain = entity.name.toLowerCase();
+            bucket.appearances++;
+            bucket.weight += rankWeight(entity.rank);
+            bucket.platforms.add(observation.platform);
+            bucket.keywords.add(observation.keyword);
+            if (entity.rank) bucket.ranks.push(entity.rank);
+
+            buckets.set(key, bucket);
+            totalAppearances++;
+        }
+    }
+
+    const competitors = Array.from(buckets.values()).map(bucket => {
+        // Prefer the most common real name over a bare domain
+        const name = Object.entries(bucket.names)
+            .sort((a, b) => isDomainName(a[0]) - isDomainName(b[0]) || b[1] - a[1])[0][0];
+        const entity = { name, url: bucket.domain };
+        const listed = brands.competitors.find(competitor => entityMatches(competitor, entity));
+
+        return {
+            name,
+            domain: bucket.domain,
+            appearances: bucket.appearances,
+            shareOfVoice: totalWeight > 0 ? Math.round((bucket.weight / totalWeight) * 1000) / 10 : 0,
+            avgRank: bucket.ranks.length > 0 ?
+                Math.round((bucket.ranks.reduce((a, b) => a + b, 0) / bucket.ranks.length) * 10) / 10 : null,
+            bestRank: bucket.ranks.length > 0 ? Math.min(...bucket.ranks) : null,
+            platforms: Array.from(bucket.platforms),
+            keywords: Array.from(bucket.keywords),
+            listed: !!listed,
+            listedAs: listed ? listed.domain : null
+        };
+    }).sort((a, b) => b.appearances - a.appearances || (a.avgRank || 99) - (b.avgRank || 99));
+
+    return {
+        responses: observations.length,
+        totalAppearances,
+        listed: competitors.filter(c => c.listed),
+        suggestions: competitors.filter(c => !c.listed).slice(0, limit)
+    };
+}
+
+// Same ranking split per keyword - rivals often differ between "seo agency" and "ppc agency"
+function discoverByKeyword(observations, brands, { limit = 5 } = {}) {
+    const byKeyword = {};
+    for (const observation of observations) {
+        (byKeyword[observation.keyword] = byKeyword[observation.keyword] || []).push(observation);
+    }
+
+    const result = {};
+    for (const [keyword, keywordObservations] of Object.entries(byKeyword)) {
+        result[keyword] = discoverCompetitors(keywordObservations, brands, { limit }).suggestions;
+    }
+    return result;
+}
+
+module.exports = { observationsFromResults, discoverCompetitors, discoverByKeyword };
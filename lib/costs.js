@@ -0,0 +1,71 @@
+// Token & Cost Accounting - per-call usage priced from a per-model table (config/model-prices.json)
+//
+// Usage totals share one shape at every level (call, keyword, platform, analysis, day):
+// { calls, inputTokens, outputTokens, cost, unpriced } - cost in USD, unpriced = calls with no known price.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICES_FILE = path.join(__dirname, '..', 'config', 'model-prices.json');
+
+function loadPriceTable(file = process.env.MODEL_PRICES_FILE || DEFAULT_PRICES_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).providers || {};
+}
+
+// Exact model, else the longest matching prefix ("gpt-4o" prices "gpt-4o-2024-08-06"), else the provider's "*"
+function findPrice(table, provider, model) {
+    const prices = table[provider] || {};
+    if (model && prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+        .filter(key => key !== '*' && model && model.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : (prices['*'] || null);
+}
+
+function emptyUsage() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+// One API call; tokens come from the provider's own usage report. grounded: the call used a search tool
+// billed per request (price.groundedRequest)
+function callUsage({ inputTokens = 0, outputTokens = 0 } = {}, price, { grounded = false } = {}) {
+    const perRequest = price ? (price.perRequest || 0) + (grounded ? price.groundedRequest || 0 : 0) : 0;
+    return {
+        calls: 1,
+        inputTokens,
+        outputTokens,
+        cost: price ? roundCost((inputTokens * price.input + outputTokens * price.output) / 1e6 + perRequest) : 0,
+        unpriced: price ? 0 : 1
+    };
+}
+
+// Adds usage into target (mutates and returns it)
+function addUsage(target, usage) {
+    if (!usage) return target;
+    target.calls += usage.calls || 0;
+    target.inputTokens += usage.inputTokens || 0;
+    target.outputTokens += usage.outputTokens || 0;
+    target.cost = roundCost(target.cost + (usage.cost || 0));
+    target.unpriced += usage.unpriced || 0;
+    return target;
+}
+
+function sumUsage(usages) {
+    return usages.reduce((total, usage) => addUsage(total, usage), emptyUsage());
+}
+
+// Running totals of one analysis, overall and per platform - calls count even if their platform later times out
+function createLedger() {
+    return { total: emptyUsage(), platforms: {} };
+}
+
+function recordCall(ledger, platform, usage) {
+    addUsage(ledger.total, usage);
+    addUsage(ledger.platforms[platform] = ledger.platforms[platform] || emptyUsage(), usage);
+}
+
+module.exports = { loadPriceTable, findPrice, emptyUsage, callUsage, addUsage, sumUsage, createLedger, recordCall };
@@ -0,0 +1,170 @@
+// File persistence helpers for the data/ directory (JSON documents and append-only JSONL logs)
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Leads, transcripts and API keys live here - outside the app directory, so no web server pointed at
+// the checkout can hand them out
+const DATA_DIR = process.env.DATA_DIR || path.join(os.homedir(), '.llm-visibility-tool');
+// Where the data directory was before it moved out of the app directory
+const LEGACY_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Writes to the same file are chained so concurrent requests never interleave
+const writeQueues = new Map();
+
+function dataPath(file) {
+    return path.isAbsolute(file) ? file : path.join(DATA_DIR, file);
+}
+
+function enqueueWrite(file, task) {
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    writeQueues.set(file, next);
+    next.finally(() => {
+        if (writeQueues.get(file) === next) writeQueues.delete(file);
+    }).catch(() => {});
+    return next;
+}
+
+async function ensureDir(file) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+}
+
+async function appendJsonLine(file, record) {
+    const target = dataPath(file);
+    return enqueueWrite(target, async () => {
+        await ensureDir(target);
+        await fs.appendFile(target, JSON.stringify(record) + '\n');
+    });
+}
+
+async function appendJsonLines(file, records) {
+    if (records.length === 0) return;
+    const target = dataPath(file);
+    return enqueueWrite(target, async () => {
+        await ensureDir(target);
+        await fs.appendFile(target, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+    });
+}
+
+async function readJsonLines(file) {
+    let raw;
+    try {
+        raw = await fs.readFile(dataPath(file), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const records = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            // A torn final line from a crash mid-append - skip it
+        }
+    }
+    return records;
+}
+
+// Complete records appended since byte `offset`, and the offset just past the last complete line - lets
+// a reader keep an index of a log current without re-reading all of it. `reset` means the file is
+// shorter than `offset` (rewritten) and was read from the start; `partial` that it ends in a torn line
+async function readJsonLinesSince(file, offset = 0) {
+    let handle;
+    try {
+        handle = await fs.open(dataPath(file), 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { records: [], offset: 0, reset: offset > 0, partial: false };
+        throw error;
+    }
+
+    try {
+        const { size } = await handle.stat();
+        const reset = size < offset;
+        const start = reset ? 0 : offset;
+        const buffer = Buffer.alloc(size - start);
+        if (buffer.length > 0) await handle.read(buffer, 0, buffer.length, start);
+
+        const end = buffer.lastIndexOf(0x0a) + 1;
+        const records = [];
+        for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch {
+                // Torn by a crash mid-append and written past since - skip it
+            }
+        }
+        return { records, offset: start + end, reset, partial: start + end < size };
+    } finally {
+        await handle.close();
+    }
+}
+
+async function readJson(file, fallback = null) {
+    try {
+        return JSON.parse(await fs.readFile(dataPath(file), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+// Names of the files in a data directory with the given extension ([] when it doesn't exist yet)
+async function listFiles(dir, extension = '.json') {
+    try {
+        const names = await fs.readdir(dataPath(dir));
+        return names.filter(name => path.extname(name) === extension);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Write to a temp file then rename, so readers never see a half-written document
+async function writeFileAtomic(target, value) {
+    await ensureDir(target);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+    await fs.rename(tmp, target);
+}
+
+async function writeJsonAtomic(file, value) {
+    const target = dataPath(file);
+    return enqueueWrite(target, () => writeFileAtomic(target, value));
+}
+
+// Read-modify-write inside the file's write queue so concurrent updates don't clobber each other
+async function updateJson(file, change, fallback = null) {
+    const target = dataPath(file);
+    return enqueueWrite(target, async () => {
+        const next = await change(await readJson(target, fallback));
+        await writeFileAtomic(target, next);
+        return next;
+    });
+}
+
+// Cut a log back to `length` bytes inside its write queue - drops a torn final line so the next append
+// starts on a line of its own
+async function truncateFile(file, length) {
+    const target = dataPath(file);
+    return enqueueWrite(target, () => fs.truncate(target, length));
+}
+
+module.exports = {
+    DATA_DIR,
+    LEGACY_DATA_DIR,
+    dataPath,
+    enqueueWrite,
+    appendJsonLine,
+    appendJsonLines,
+    readJsonLines,
+    readJsonLinesSince,
+    readJson,
+    listFiles,
+    writeJsonAtomic,
+    updateJson,
+    truncateFile
+};
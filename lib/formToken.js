@@ -0,0 +1,31 @@
+// Form tokens - signed, expiring CSRF tokens that the public form sends with every POST to /api/form/*
+//
+// "<expires>.<nonce>.<signature>", the signature an HMAC over expiry, nonce and the client's IP, so a token
+// only works from the address it was issued to and until it expires. Nothing is stored server-side.
+const crypto = require('crypto');
+
+const TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+
+function sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createFormToken(secret, clientIp, now = Date.now()) {
+    const expires = now + TOKEN_TTL_MS;
+    const nonce = crypto.randomBytes(12).toString('base64url');
+    return {
+        token: `${expires}.${nonce}.${sign(secret, `${expires}.${nonce}.${clientIp}`)}`,
+        expiresAt: new Date(expires).toISOString()
+    };
+}
+
+function verifyFormToken(secret, token, clientIp, now = Date.now()) {
+    const [expires, nonce, signature] = String(token || '').split('.');
+    if (!expires || !nonce || !signature || Number(expires) < now) return false;
+
+    const expected = Buffer.from(sign(secret, `${expires}.${nonce}.${clientIp}`));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { createFormToken, verifyFormToken, TOKEN_TTL_MS };
@@ -0,0 +1,134 @@
+// Scan History Store - one JSONL row per website/keyword/platform for every analysis run
+const crypto = require('crypto');
+const fileStore = require('./fileStore');
+const { normalizeWebsite } = require('./urls');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoryStore {
+    constructor(file = 'history.jsonl') {
+        this.file = file;
+    }
+
+    async recordAnalysis(results, source = 'analyze') {
+        const runId = crypto.randomUUID();
+        const website = normalizeWebsite(results.website);
+        const rows = [];
+
+        for (const [platform, platformResult] of Object.entries(results.platformResults || {})) {
+            // Failed platforms didn't answer anything - they say nothing about visibility
+            if (platformResult.error) continue;
+
+            for (const [keyword, keywordResult] of Object.entries(platformResult.keywordResults || {})) {
+                if (keywordResult.error) continue;
+
+                rows.push({
+                    runId,
+                    timestamp: results.timestamp,
+                    source,
+                    website,
+                    // Location scans key results "keyword (location)" - history keeps the two apart
+                    keyword: (keywordResult.keyword || keyword).toLowerCase(),
+                    location: keywordResult.location || null,
+                    language: keywordResult.language || (results.languages && results.languages[0]) || null,
+                    platform,
+                    model: platformResult.model || null,
+                    modelVersion: keywordResult.modelVersion || null,
+                    mentioned: !!keywordResult.mentioned,
+                    position: keywordResult.position || null,
+                    sentiment: keywordResult.sentiment ? keywordResult.sentiment.sentiment : null,
+                    // Recommended businesses, kept for competitor discovery
+                    entities: (keywordResult.rankedList || []).slice(0, 15).map(({ rank, name, url }) => ({ rank, name, url })),
+                    platformScore: platformResult.score
+                });
+            }
+        }
+
+        await fileStore.appendJsonLines(this.file, rows);
+        return { runId, rows: rows.length };
+    }
+
+    async query({ website, keywords = [], platform = null, since = null } = {}) {
+        const domain = normalizeWebsite(website);
+        const keywordSet = new Set(keywords.map(k => k.toLowerCase()));
+        const sinceTime = since ? new Date(since).getTime() : 0;
+
+        const rows = await fileStore.readJsonLines(this.file);
+        return rows.filter(row =>
+            row.website === domain &&
+            (keywordSet.size === 0 || keywordSet.has(row.keyword)) &&
+            (!platform || row.platform === platform) &&
+            new Date(row.timestamp).getTime() >= sinceTime
+        );
+    }
+
+    // Day-over-day mention rate and position series per platform, plus an all-platform series
+    async getTrends({ website, keywords = [], platform = null, days = 30 } = {}) {
+        const since = new Date(Date.now() - (days - 1) * DAY_MS);
+        since.setUTCHours(0, 0, 0, 0);
+
+        const rows = await this.query({ website, keywords, platform, since });
+
+        const byPlatform = {};
+        for (const row of rows) {
+            (byPlatform[row.platform] = byPlatform[row.platform] || []).push(row);
+        }
+
+        const platforms = {};
+        for (const [name, platformRows] of Object.entries(byPlatform)) {
+            platforms[name] = this.buildSeries(platformRows);
+        }
+
+        return {
+            website: normalizeWebsite(website),
+            keywords,
+            days,
+            since: since.toISOString(),
+            runs: new Set(rows.map(row => row.runId)).size,
+            platforms,
+            overall: this.buildSeries(rows)
+        };
+    }
+
+    buildSeries(rows) {
+        const byDate = new Map();
+        for (const row of rows) {
+            const date = row.timestamp.split('T')[0];
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push(row);
+        }
+
+        const series = [];
+        for (const date of Array.from(byDate.keys()).sort()) {
+            const dayRows = byDate.get(date);
+            const mentions = dayRows.filter(row => row.mentioned).length;
+            const positions = dayRows.filter(row => row.mentioned && row.position).map(row => row.position);
+
+            const point = {
+                date,
+                samples: dayRows.length,
+                mentions,
+                mentionRate: Math.round((mentions / dayRows.length) * 100),
+                avgPosition: positions.length > 0 ?
+                    Math.round((positions.reduce((a, b) => a + b, 0) / positions.length) * 10) / 10 : null,
+                bestPosition: positions.length > 0 ? Math.min(...positions) : null,
+                mentionRateChange: null,
+                avgPositionChange: null
+            };
+
+            const previous = series[series.length - 1];
+            if (previous) {
+                point.mentionRateChange = point.mentionRate - previous.mentionRate;
+                if (point.avgPosition !== null && previous.avgPosition !== null) {
+                    point.avgPositionChange = Math.round((point.avgPosition - previous.avgPosition) * 10) / 10;
+                }
+            }
+
+            series.push(point);
+        }
+
+        return series;
+    }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,124 @@
+// Job Queue - runs long analyses outside the request cycle and broadcasts their progress
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+class JobQueue extends EventEmitter {
+    constructor({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) {
+        super();
+        this.setMaxListeners(0); // One listener per open SSE stream
+        this.concurrency = concurrency;
+        this.retentionMs = retentionMs;
+        this.jobs = new Map();
+        this.pending = [];
+        this.active = 0;
+    }
+
+    // handler(job, reportProgress) resolves with the job result. owner: who may follow the job (see server.js
+    // formOwner), null when anyone with the right API scope may
+    enqueue(type, payload, handler, { owner = null } = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: {
+                completed: 0,
+                total: 0,
+                percent: 0,
+                stage: 'queued',
+                platform: null,
+                keyword: null,
+                platforms: {}
+            },
+            payload,
+            owner,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push({ job, handler });
+        this.publish(job, { stage: 'queued' });
+        this.drain();
+
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Client-facing view: payload may carry contact details and stays server-side, like the owner
+    toJSON(job) {
+        const { payload, owner, ...view } = job;
+        return view;
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.pending.length > 0) {
+            const { job, handler } = this.pending.shift();
+            this.run(job, handler);
+        }
+    }
+
+    async run(job, handler) {
+        this.active++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.publish(job, { stage: 'started' });
+
+        try {
+            job.result = await handler(job, event => this.reportProgress(job, event));
+            job.status = 'completed';
+        } catch (error) {
+            console.error(`❌ Job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.message;
+        } finally {
+            this.active--;
+        }
+
+        job.finishedAt = new Date().toISOString();
+        job.progress.percent = job.status === 'completed' ? 100 : job.progress.percent;
+        this.publish(job, { stage: job.status });
+        this.scheduleCleanup(job);
+        this.drain();
+    }
+
+    // Progress events come from LLMAnalyzer: { stage, platform, keyword, total, error }
+    reportProgress(job, event) {
+        const progress = job.progress;
+
+        if (event.total !== undefined) progress.total = event.total;
+        if (event.platform) {
+            progress.platform = event.platform;
+            const platform = progress.platforms[event.platform] = progress.platforms[event.platform] || {
+                status: 'waiting',
+                completed: 0
+            };
+
+            if (event.stage === 'platform-start') platform.status = 'running';
+            if (event.stage === 'platform-done') platform.status = event.error ? 'failed' : 'completed';
+            if (event.stage === 'keyword-done') platform.completed++;
+        }
+        if (event.keyword !== undefined) progress.keyword = event.keyword;
+        if (event.stage === 'keyword-done') progress.completed++;
+
+        progress.stage = event.stage;
+        progress.percent = progress.total > 0 ? Math.min(99, Math.round((progress.completed / progress.total) * 100)) : 0;
+
+        this.publish(job, event);
+    }
+
+    publish(job, event) {
+        this.emit(`job:${job.id}`, { ...event, jobId: job.id, status: job.status, progress: job.progress });
+    }
+
+    scheduleCleanup(job) {
+        setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+    }
+}
+
+module.exports = JobQueue;
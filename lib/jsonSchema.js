@@ -0,0 +1,139 @@
+// JSON Schema validator - the subset our API schema uses, shared by the Node routes and the browser
+//
+// Supports type (including "integer" and type lists), enum, const, required, properties,
+// additionalProperties, items, min/maxItems, min/maxLength, pattern, format (email, uri, date-time),
+// minimum/maximum, anyOf and local "#/$defs/..." references. Returns a list of readable errors.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.JsonSchema = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FORMATS = {
+        email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        uri: value => /^[a-z][a-z\d+.-]*:\/\/\S+$/i.test(value),
+        'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value)
+    };
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && isFinite(value);
+        return typeOf(value) === type;
+    }
+
+    function resolve(ref, rootSchema) {
+        if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+        const target = ref.slice(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+        if (!target) throw new Error(`Unresolved $ref: ${ref}`);
+        return target;
+    }
+
+    function check(schema, value, path, rootSchema, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push(`${path} is not allowed`);
+            return;
+        }
+        if (schema.$ref) {
+            check(resolve(schema.$ref, rootSchema), value, path, rootSchema, errors);
+            return;
+        }
+
+        if (schema.anyOf) {
+            const attempts = schema.anyOf.map(option => {
+                const optionErrors = [];
+                check(option, value, path, rootSchema, optionErrors);
+                return { option, errors: optionErrors };
+            });
+            if (!attempts.some(attempt => attempt.errors.length === 0)) {
+                // Report the errors of the closest option (right type, fewest errors) rather than just "no match"
+                const sameType = attempts.filter(attempt => {
+                    const option = attempt.option.$ref ? resolve(attempt.option.$ref, rootSchema) : attempt.option;
+                    const types = [].concat(option.type || []);
+                    return types.length === 0 || types.some(type => matchesType(value, type));
+                });
+                const fewest = Math.min(...sameType.map(attempt => attempt.errors.length));
+                const closest = sameType.filter(attempt => attempt.errors.length === fewest);
+                if (closest.length === 1) errors.push(...closest[0].errors);
+                else errors.push(`${path} does not match any allowed shape`);
+                return;
+            }
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push(`${path} must be ${types.join(' or ')} (got ${typeOf(value)})`);
+                return;
+            }
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path} does not match ${schema.pattern}`);
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+                errors.push(`${path} must be a valid ${schema.format}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, rootSchema, errors));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+            }
+            const properties = schema.properties || {};
+            for (const [key, item] of Object.entries(value)) {
+                if (item === undefined) continue;
+                if (properties[key]) {
+                    check(properties[key], item, `${path}.${key}`, rootSchema, errors);
+                } else if (schema.additionalProperties !== undefined) {
+                    check(schema.additionalProperties, item, `${path}.${key}`, rootSchema, errors);
+                }
+            }
+        }
+    }
+
+    // Validates against rootSchema.$defs[name] (or the root itself when name is omitted)
+    function validate(rootSchema, name, value, path = name || 'value') {
+        const schema = name ? resolve(`#/$defs/${name}`, rootSchema) : rootSchema;
+        const errors = [];
+        check(schema, value, path, rootSchema, errors);
+        return errors;
+    }
+
+    return { validate };
+});
@@ -0,0 +1,127 @@
+// Lead Report - leads joined with their saved analyses, filtered and paged for the admin views and CSV export
+const { normalizeWebsite } = require('./urls');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = [
+    ['id', row => row.id],
+    ['submittedAt', row => row.timestamp],
+    ['lastSubmittedAt', row => row.lastSubmittedAt || row.timestamp],
+    ['submissions', row => row.submissions || 1],
+    ['name', row => row.fullName],
+    ['email', row => row.email],
+    ['company', row => row.company],
+    ['phone', row => row.phone],
+    ['website', row => row.website],
+    ['keywords', row => (row.keywords || []).join('; ')],
+    ['competitors', row => (row.competitors || []).join('; ')],
+    ['analyses', row => row.analyses.length],
+    ['latestAnalysisAt', row => row.latest && row.latest.createdAt],
+    ['latestStatus', row => row.latest && row.latest.status],
+    ['latestScore', row => row.score],
+    ['latestMentions', row => row.latest && row.latest.totalMentions]
+];
+
+// { errors, filters } from a query string: q (name, email, company or website), from / to (YYYY-MM-DD,
+// UTC, inclusive), keyword, minScore / maxScore (latest analysis), page, pageSize
+function parseLeadFilters(query = {}) {
+    const errors = [];
+    const filters = {
+        q: String(query.q || '').trim().toLowerCase(),
+        keyword: String(query.keyword || '').trim().toLowerCase(),
+        from: null,
+        to: null,
+        minScore: null,
+        maxScore: null,
+        page: Math.max(parseInt(query.page) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+    };
+
+    for (const name of ['from', 'to']) {
+        if (!query[name]) continue;
+        if (!DATE_PATTERN.test(query[name]) || isNaN(Date.parse(query[name]))) {
+            errors.push(`${name} must be a date (YYYY-MM-DD)`);
+            continue;
+        }
+        filters[name] = new Date(`${query[name]}T00:00:00.000Z`);
+    }
+    // "to" includes the whole day
+    if (filters.to) filters.to = new Date(filters.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+
+    for (const name of ['minScore', 'maxScore']) {
+        if (query[name] === undefined || query[name] === '') continue;
+        const value = Number(query[name]);
+        if (isNaN(value) || value < 0 || value > 100) errors.push(`${name} must be a number from 0 to 100`);
+        else filters[name] = value;
+    }
+
+    return { errors, filters };
+}
+
+// Each lead with its analyses, newest first - matched by the lead's email, or by website for analyses
+// saved before analyses were linked to leads
+function joinAnalyses(leads, analyses) {
+    return leads.map(lead => {
+        const email = String(lead.email || '').toLowerCase();
+        const website = normalizeWebsite(lead.website);
+        const own = analyses.filter(analysis => analysis.lead
+            ? analysis.lead === email
+            : normalizeWebsite(analysis.website) === website);
+        const latest = own[0] || null;
+        return {
+            ...lead,
+            analyses: own,
+            latest,
+            score: latest && typeof latest.overallScore === 'number' ? latest.overallScore : null
+        };
+    });
+}
+
+function filterLeads(rows, filters) {
+    const scored = filters.minScore !== null || filters.maxScore !== null;
+    return rows.filter(row => {
+        // Repeat submissions are folded into one lead - the latest one dates it
+        const submitted = new Date(row.lastSubmittedAt || row.timestamp || 0);
+        if (filters.from && submitted < filters.from) return false;
+        if (filters.to && submitted > filters.to) return false;
+
+        if (filters.q && ![row.fullName, row.email, row.company, row.website]
+            .some(value => String(value || '').toLowerCase().includes(filters.q))) return false;
+
+        if (filters.keyword && !(row.keywords || []).some(keyword => String(keyword).toLowerCase().includes(filters.keyword))) return false;
+
+        // Leads without an analysis have no score to compare
+        if (scored && row.score === null) return false;
+        if (filters.minScore !== null && row.score < filters.minScore) return false;
+        if (filters.maxScore !== null && row.score > filters.maxScore) return false;
+        return true;
+    });
+}
+
+function paginate(rows, { page, pageSize }) {
+    const start = (page - 1) * pageSize;
+    return {
+        page,
+        pageSize,
+        total: rows.length,
+        pages: Math.max(Math.ceil(rows.length / pageSize), 1),
+        items: rows.slice(start, start + pageSize)
+    };
+}
+
+// Quoted where needed; cells starting with = + - @ are prefixed so spreadsheets don't run them as formulas
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function leadsCsv(rows) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    rows.forEach(row => lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(row))).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseLeadFilters, joinAnalyses, filterLeads, paginate, leadsCsv, MAX_PAGE_SIZE };
@@ -0,0 +1,148 @@
+// Lead Store - contact form submissions as an append-only JSONL log (data/leads.jsonl)
+//
+// A save appends one line, so concurrent submissions can't lose each other and a write costs the same
+// however many leads there are. The last line for an id wins. The index (id -> lead, email + website ->
+// id) lives in memory and is caught up by reading only what was appended since it last looked.
+// A repeat submission with the same email and website updates that lead instead of adding another.
+const crypto = require('crypto');
+const path = require('path');
+const fileStore = require('./fileStore');
+const { normalizeWebsite } = require('./urls');
+
+// Where saveLeadData kept every lead before this store, and where the PHP endpoints still write
+const LEGACY_LEADS_FILE = path.join(__dirname, '..', 'leads.json');
+
+function dedupeKey(lead) {
+    const email = String(lead.email || '').trim().toLowerCase();
+    const website = normalizeWebsite(lead.website);
+    return email && website ? `${email}|${website}` : null;
+}
+
+function submittedAt(lead) {
+    return new Date(lead.lastSubmittedAt || lead.timestamp || 0).getTime();
+}
+
+// A repeat submission keeps the lead's id and first submission time and takes the rest from the new form
+function mergeSubmission(lead, submission) {
+    const mergedIds = lead.mergedIds || [];
+    return {
+        ...lead,
+        ...submission,
+        id: lead.id,
+        timestamp: lead.timestamp,
+        lastSubmittedAt: submission.timestamp || new Date().toISOString(),
+        submissions: (lead.submissions || 1) + 1,
+        // Legacy leads folded into this one, so their old ids still resolve
+        mergedIds: submission.id && submission.id !== lead.id ? [...mergedIds, submission.id] : mergedIds
+    };
+}
+
+class LeadStore {
+    constructor(file = 'leads.jsonl') {
+        this.file = file;
+        this.pending = Promise.resolve();
+        this.resetIndex();
+    }
+
+    resetIndex() {
+        this.leads = new Map();
+        this.aliases = new Map();
+        this.keys = new Map();
+        this.offset = 0;
+        this.partial = false;
+    }
+
+    // Index reads and saves run one at a time, so two submissions from the same person can't both look new
+    exclusive(task) {
+        const next = this.pending.catch(() => {}).then(task);
+        this.pending = next;
+        return next;
+    }
+
+    index(lead) {
+        this.leads.set(lead.id, lead);
+        (lead.mergedIds || []).forEach(id => this.aliases.set(id, lead.id));
+        const key = dedupeKey(lead);
+        if (key) this.keys.set(key, lead.id);
+    }
+
+    async refresh() {
+        const { records, offset, reset, partial } = await fileStore.readJsonLinesSince(this.file, this.offset);
+        if (reset) this.resetIndex();
+        records.forEach(lead => this.index(lead));
+        this.offset = offset;
+        this.partial = partial;
+    }
+
+    async append(leads) {
+        // A torn last line would swallow the next record - cut it off first
+        if (this.partial) {
+            await fileStore.truncateFile(this.file, this.offset);
+            this.partial = false;
+        }
+        await fileStore.appendJsonLines(this.file, leads);
+        leads.forEach(lead => this.index(lead));
+    }
+
+    // Folds the submission into the lead with the same email and website, or adds a new lead.
+    // { lead, created }
+    async save(submission) {
+        return this.exclusive(async () => {
+            await this.refresh();
+            const existingId = this.keys.get(dedupeKey(submission));
+            const lead = existingId
+                ? mergeSubmission(this.leads.get(existingId), submission)
+                : { ...submission, id: crypto.randomUUID(), submissions: 1 };
+            await this.append([lead]);
+            return { lead, created: !existingId };
+        });
+    }
+
+    // Every lead, most recently submitted first
+    async list() {
+        await this.exclusive(() => this.refresh());
+        return [...this.leads.values()].sort((a, b) => submittedAt(b) - submittedAt(a));
+    }
+
+    async get(id) {
+        await this.exclusive(() => this.refresh());
+        const key = String(id);
+        return this.leads.get(key) || this.leads.get(this.aliases.get(key)) || null;
+    }
+
+    // Migration: imports leads.json oldest first, deduplicating like save. Ids are kept as strings (the PHP
+    // endpoints used seconds, the Node app milliseconds); leads already imported are skipped, so it is safe
+    // to run on every start while the PHP endpoints keep writing there. { imported, merged, skipped }
+    async importLegacy(file = LEGACY_LEADS_FILE) {
+        const legacy = await fileStore.readJson(file, []);
+        const rows = (Array.isArray(legacy) ? legacy : [])
+            .map((lead, i) => ({ ...lead, id: String(lead.id || `row-${i}`) }))
+            .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+        return this.exclusive(async () => {
+            await this.refresh();
+            const counts = { imported: 0, merged: 0, skipped: 0 };
+            const changed = new Map();
+
+            for (const row of rows) {
+                if (this.leads.has(row.id) || this.aliases.has(row.id)) {
+                    counts.skipped++;
+                    continue;
+                }
+
+                const existingId = this.keys.get(dedupeKey(row));
+                const lead = existingId
+                    ? mergeSubmission(this.leads.get(existingId), row)
+                    : { ...row, submissions: 1 };
+                counts[existingId ? 'merged' : 'imported']++;
+                changed.set(lead.id, lead);
+                this.index(lead);
+            }
+
+            if (changed.size > 0) await this.append([...changed.values()]);
+            return counts;
+        });
+    }
+}
+
+module.exports = LeadStore;
@@ -0,0 +1,54 @@
+// Scan Locations & Languages - the cities, regions or countries and the languages a scan asks in
+//
+// Every keyword is queried once per location and language. Each combination gets its own key in
+// keywordResults ("plumber (Austin, TX)", "plombier (Montréal) [fr]"); scans without locations and
+// in a single language keep plain keyword keys.
+const MAX_LOCATIONS = 10;
+const MAX_LANGUAGES = 3;
+// Keyword x location x language combinations per scan - each is one query per platform
+const MAX_QUERIES = 50;
+
+// Locations often contain commas ("Austin, TX"), so a single string is split on semicolons and newlines
+function parseLocations(value) {
+    const list = typeof value === 'string' ? value.split(/[;\n]/) : (Array.isArray(value) ? value : []);
+    const seen = new Set();
+    return list
+        .map(location => String(location).replace(/\s+/g, ' ').trim())
+        .filter(location => {
+            const key = location.toLowerCase();
+            if (!location || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// "fr", "fr, en" or ["fr", "en"] -> ['fr', 'en']
+function parseLanguages(value) {
+    const list = typeof value === 'string' ? value.split(/[\s,;]+/) : (Array.isArray(value) ? value : []);
+    return Array.from(new Set(list.map(code => String(code).trim().toLowerCase()).filter(Boolean)));
+}
+
+function queryKey(keyword, location = null, language = null) {
+    const key = location ? `${keyword} (${location})` : keyword;
+    return language ? `${key} [${language}]` : key;
+}
+
+// [{ key, keyword, location, language, labels }] - labels are the fields a result repeats so it can be
+// told apart from the other results for the same keyword ({} for plain keyword scans)
+function scanQueries(keywords, locations = [], languages = []) {
+    const tagLanguage = languages.length > 1;
+    const queries = [];
+    for (const language of languages.length > 0 ? languages : [null]) {
+        for (const location of locations.length > 0 ? locations : [null]) {
+            for (const keyword of keywords) {
+                const labels = location || tagLanguage ? { keyword } : {};
+                if (location) labels.location = location;
+                if (tagLanguage) labels.language = language;
+                queries.push({ key: queryKey(keyword, location, tagLanguage ? language : null), keyword, location, language, labels });
+            }
+        }
+    }
+    return queries;
+}
+
+module.exports = { MAX_LOCATIONS, MAX_LANGUAGES, MAX_QUERIES, parseLocations, parseLanguages, queryKey, scanQueries };
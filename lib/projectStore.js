@@ -0,0 +1,212 @@
+// Tracked Project Store - websites scanned on a schedule, plus the results of each run
+const crypto = require('crypto');
+const fileStore = require('./fileStore');
+const { MAX_LOCATIONS, MAX_LANGUAGES, MAX_QUERIES, parseLocations, parseLanguages } = require('./locations');
+const { MAX_SAMPLES, MAX_SAMPLED_QUERIES } = require('./sampling');
+const { parseModels, validateModels } = require('../providers');
+
+const FREQUENCIES = ['hourly', 'daily', 'weekly'];
+// Same as an analysis request (the schema's stringList)
+const MAX_KEYWORDS = 25;
+const HOUR_MS = 60 * 60 * 1000;
+
+function toList(value) {
+    if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(v => v.length > 0);
+    return Array.isArray(value) ? value.map(v => String(v).trim()).filter(v => v.length > 0) : [];
+}
+
+// Next run time in UTC for { frequency, hour, dayOfWeek }, strictly after `from`
+function computeNextRun(schedule, from = new Date()) {
+    const next = new Date(from);
+    next.setUTCSeconds(0, 0);
+
+    if (schedule.frequency === 'hourly') {
+        next.setUTCMinutes(0);
+        next.setTime(next.getTime() + HOUR_MS);
+        return next.toISOString();
+    }
+
+    next.setUTCHours(schedule.hour, 0, 0, 0);
+    if (schedule.frequency === 'weekly') {
+        const daysAhead = (schedule.dayOfWeek - next.getUTCDay() + 7) % 7;
+        next.setUTCDate(next.getUTCDate() + daysAhead);
+        if (next <= from) next.setUTCDate(next.getUTCDate() + 7);
+    } else if (next <= from) {
+        next.setUTCDate(next.getUTCDate() + 1);
+    }
+
+    return next.toISOString();
+}
+
+// Validates create/update input; returns { errors, values } with only the fields provided
+// promptSets / languages / providerIds: prompt template sets, language codes and providers the scan may use;
+// isPriced: see validateModels
+function normalizeProjectInput(input = {}, { partial = false, promptSets = null, languages = null, providerIds = null, isPriced = null } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (input.website !== undefined || !partial) {
+        if (!input.website) errors.push('website is required');
+        else values.website = String(input.website).trim();
+    }
+
+    if (input.keywords !== undefined || !partial) {
+        values.keywords = toList(input.keywords);
+        if (values.keywords.length === 0) errors.push('at least one keyword is required');
+        if (values.keywords.length > MAX_KEYWORDS) errors.push(`at most ${MAX_KEYWORDS} keywords are allowed`);
+    }
+
+    if (input.competitors !== undefined) values.competitors = toList(input.competitors);
+    if (input.aliases !== undefined) values.aliases = toList(input.aliases);
+    if (input.locations !== undefined) {
+        values.locations = parseLocations(input.locations);
+        if (values.locations.length > MAX_LOCATIONS) errors.push(`at most ${MAX_LOCATIONS} locations are allowed`);
+    }
+    if (input.languages !== undefined) {
+        values.languages = parseLanguages(input.languages);
+        if (values.languages.length > MAX_LANGUAGES) errors.push(`at most ${MAX_LANGUAGES} languages are allowed`);
+        if (languages && values.languages.some(code => !languages.includes(code))) {
+            errors.push(`languages must be from: ${languages.join(', ')}`);
+        }
+    }
+    if (input.samples !== undefined) {
+        values.samples = Number(input.samples);
+        if (!Number.isInteger(values.samples) || values.samples < 1 || values.samples > MAX_SAMPLES) {
+            errors.push(`samples must be a whole number from 1 to ${MAX_SAMPLES}`);
+        }
+    }
+    if (input.models !== undefined) {
+        values.models = parseModels(input.models);
+        if (providerIds) errors.push(...validateModels(values.models, providerIds, isPriced));
+    }
+    if (input.company !== undefined) values.company = String(input.company || '').trim();
+    if (input.industry !== undefined) {
+        values.industry = String(input.industry || '').trim() || null;
+        if (values.industry && promptSets && !promptSets.includes(values.industry)) {
+            errors.push(`industry must be one of: ${promptSets.join(', ')}`);
+        }
+    }
+    if (input.name !== undefined) values.name = String(input.name || '').trim();
+    if (input.active !== undefined) values.active = !!input.active;
+
+    if (input.schedule !== undefined || !partial) {
+        const raw = typeof input.schedule === 'string' ? { frequency: input.schedule } : (input.schedule || {});
+        const schedule = {
+            frequency: raw.frequency || 'daily',
+            hour: raw.hour === undefined ? 6 : parseInt(raw.hour),
+            dayOfWeek: raw.dayOfWeek === undefined ? 1 : parseInt(raw.dayOfWeek)
+        };
+
+        if (!FREQUENCIES.includes(schedule.frequency)) errors.push(`schedule.frequency must be one of: ${FREQUENCIES.join(', ')}`);
+        if (isNaN(schedule.hour) || schedule.hour < 0 || schedule.hour > 23) errors.push('schedule.hour must be between 0 and 23 (UTC)');
+        if (isNaN(schedule.dayOfWeek) || schedule.dayOfWeek < 0 || schedule.dayOfWeek > 6) errors.push('schedule.dayOfWeek must be between 0 (Sunday) and 6');
+
+        values.schedule = schedule;
+    }
+
+    if (!partial && errors.length === 0) errors.push(...scanSizeErrors(values));
+    return { errors, values };
+}
+
+// The per-platform query caps /api/analyze applies, for a whole project - updates check the project as it
+// would be after the change
+function scanSizeErrors({ keywords = [], locations = [], languages = [], samples = 1 }) {
+    const errors = [];
+    const combinations = Math.max(locations.length, 1) * Math.max(languages.length, 1);
+    if (combinations > 1 && keywords.length * combinations > MAX_QUERIES) {
+        errors.push(`${keywords.length} keywords x ${combinations} location/language combinations is more than ${MAX_QUERIES} queries per platform`);
+    }
+    if (keywords.length * combinations * (samples || 1) > MAX_SAMPLED_QUERIES) {
+        errors.push(`${keywords.length * combinations} queries x ${samples} samples is more than ${MAX_SAMPLED_QUERIES} sampled queries per platform`);
+    }
+    return errors;
+}
+
+class ProjectStore {
+    constructor(file = 'projects.json', runsFile = 'project-runs.jsonl') {
+        this.file = file;
+        this.runsFile = runsFile;
+    }
+
+    async list() {
+        return fileStore.readJson(this.file, []);
+    }
+
+    async get(id) {
+        const projects = await this.list();
+        return projects.find(project => project.id === id) || null;
+    }
+
+    async create(values) {
+        const now = new Date();
+        const project = {
+            id: crypto.randomUUID(),
+            name: values.name || values.company || values.website,
+            website: values.website,
+            company: values.company || '',
+            competitors: values.competitors || [],
+            aliases: values.aliases || [],
+            keywords: values.keywords,
+            industry: values.industry || null,
+            locations: values.locations || [],
+            languages: values.languages || [],
+            samples: values.samples || 1,
+            models: values.models || {},
+            schedule: values.schedule,
+            active: values.active !== false,
+            // Scheduled runs are charged to this API key (null: created with ADMIN_TOKEN)
+            apiKeyId: values.apiKeyId || null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            lastRunAt: null,
+            lastRunStatus: null,
+            nextRunAt: computeNextRun(values.schedule, now)
+        };
+
+        await this.mutate(projects => projects.concat(project));
+        return project;
+    }
+
+    async update(id, values) {
+        let updated = null;
+
+        await this.mutate(projects => projects.map(project => {
+            if (project.id !== id) return project;
+
+            updated = { ...project, ...values, updatedAt: new Date().toISOString() };
+            if (values.schedule) updated.nextRunAt = computeNextRun(updated.schedule);
+            return updated;
+        }));
+
+        return updated;
+    }
+
+    async remove(id) {
+        let removed = false;
+        await this.mutate(projects => projects.filter(project => {
+            if (project.id === id) removed = true;
+            return project.id !== id;
+        }));
+        return removed;
+    }
+
+    async due(now = new Date()) {
+        const projects = await this.list();
+        return projects.filter(project => project.active && project.nextRunAt && new Date(project.nextRunAt) <= now);
+    }
+
+    async recordRun(run) {
+        await fileStore.appendJsonLine(this.runsFile, run);
+    }
+
+    async listRuns(projectId, limit = 20) {
+        const runs = await fileStore.readJsonLines(this.runsFile);
+        return runs.filter(run => run.projectId === projectId).slice(-limit).reverse();
+    }
+
+    async mutate(change) {
+        await fileStore.updateJson(this.file, change, []);
+    }
+}
+
+module.exports = { ProjectStore, computeNextRun, normalizeProjectInput, scanSizeErrors, FREQUENCIES, MAX_KEYWORDS };
@@ -0,0 +1,211 @@
+// Prompt Templates - per-industry prompt sets loaded from config/prompt-templates.json
+//
+// A set holds the prompts tried per keyword: "default" for every provider, plus optional lists keyed
+// by provider id. Templates use {keyword}, {company}, {website} and {location}; a template whose
+// variables are blank for a scan is skipped. A scan with a location only uses the templates that
+// mention {location} (a list without any gets the language's locationHint appended instead).
+// "translations" repeats those lists per language; a scan in a language the set has no translation
+// for sends the default-language prompts with the language's answerIn line appended. The file is
+// re-read when it changes, so prompts can be tuned on a running server - an invalid edit is logged
+// and the last good version stays in use.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', 'config', 'prompt-templates.json');
+const VARIABLES = ['keyword', 'company', 'website', 'location'];
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+function templateVariables(template) {
+    return Array.from(template.matchAll(VARIABLE_PATTERN), match => match[1]);
+}
+
+// Rendered prompt, or null when one of its variables has no value for this scan
+function renderTemplate(template, vars) {
+    let missing = false;
+    const prompt = template.replace(VARIABLE_PATTERN, (match, name) => {
+        const value = vars[name] == null ? '' : String(vars[name]).trim();
+        if (!value) missing = true;
+        return value;
+    });
+    return missing ? null : prompt;
+}
+
+// [{ template, prompt }] in order, prompt null for templates this scan skips
+// locationHint ("... serving {location}.") and answerIn ("Responde en español.") are appended when set
+function renderTemplates(templates, vars, { locationHint = null, answerIn = null } = {}) {
+    const location = vars.location == null ? '' : String(vars.location).trim();
+    const local = template => templateVariables(template).includes('location');
+    const withSuffix = (prompt, suffix) => prompt && suffix ? `${prompt} ${suffix}` : prompt;
+
+    let rendered;
+    if (!location) {
+        rendered = templates.map(template => ({ template, prompt: renderTemplate(template, vars) }));
+    } else if (templates.some(local)) {
+        // Prompts that ignore the location would ask every location the same question
+        rendered = templates.map(template => ({ template, prompt: local(template) ? renderTemplate(template, vars) : null }));
+    } else {
+        const hint = locationHint ? renderTemplate(locationHint, { location }) : location;
+        rendered = templates.map(template => ({ template, prompt: withSuffix(renderTemplate(template, vars), hint) }));
+    }
+    return rendered.map(item => ({ ...item, prompt: withSuffix(item.prompt, answerIn) }));
+}
+
+function validateLists(lists, path, errors) {
+    if (!Array.isArray(lists.default)) errors.push(`${path}.default must be a list of prompts`);
+
+    for (const [key, templates] of Object.entries(lists)) {
+        if (!Array.isArray(templates) || templates.some(t => typeof t !== 'string')) {
+            errors.push(`${path}.${key} must be a list of strings`);
+            continue;
+        }
+        templates.forEach((template, i) => {
+            const unknown = templateVariables(template).filter(name => !VARIABLES.includes(name));
+            if (unknown.length > 0) errors.push(`${path}.${key}[${i}] uses unknown variable {${unknown.join('}, {')}}`);
+        });
+        // Company, website and location are optional inputs - a list needs prompts that work without them
+        if (!templates.some(template => templateVariables(template).every(name => name === 'keyword'))) {
+            errors.push(`${path}.${key} needs at least one prompt that only uses {keyword}`);
+        }
+    }
+}
+
+function validateLibrary(library) {
+    const errors = [];
+    if (!library || typeof library.sets !== 'object' || Object.keys(library.sets).length === 0) {
+        return ['"sets" must contain at least one prompt set'];
+    }
+    if (!library.sets[library.defaultSet]) {
+        errors.push(`defaultSet "${library.defaultSet}" is not one of the sets`);
+    }
+    const languages = library.languages || {};
+    if (!languages[library.defaultLanguage]) {
+        errors.push(`defaultLanguage "${library.defaultLanguage}" is not one of the languages`);
+    }
+
+    for (const [id, set] of Object.entries(library.sets)) {
+        validateLists((set && set.prompts) || {}, `sets.${id}.prompts`, errors);
+
+        for (const [language, lists] of Object.entries((set && set.translations) || {})) {
+            if (!languages[language]) errors.push(`sets.${id}.translations.${language} is not one of the languages`);
+            validateLists(lists || {}, `sets.${id}.translations.${language}`, errors);
+        }
+    }
+    return errors;
+}
+
+class PromptLibrary {
+    constructor({ file = process.env.PROMPT_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE } = {}) {
+        this.file = file;
+        this.library = null;
+        this.loadedMtime = null;
+        this.load();
+    }
+
+    load() {
+        const mtime = fs.statSync(this.file).mtimeMs;
+        if (this.library && mtime === this.loadedMtime) return this.library;
+
+        let library;
+        let errors;
+        try {
+            library = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            errors = validateLibrary(library);
+        } catch (error) {
+            errors = [error.message];
+        }
+
+        if (errors.length > 0) {
+            const message = `Invalid prompt templates in ${this.file}: ${errors.join('; ')}`;
+            if (!this.library) throw new Error(message);
+            console.error(`${message} - keeping the previous templates`);
+        } else {
+            this.library = library;
+        }
+        this.loadedMtime = mtime;
+        return this.library;
+    }
+
+    get defaultSet() {
+        return this.load().defaultSet;
+    }
+
+    get defaultLanguage() {
+        return this.load().defaultLanguage;
+    }
+
+    hasLanguage(code) {
+        return Object.prototype.hasOwnProperty.call(this.load().languages, code);
+    }
+
+    listLanguages() {
+        const library = this.load();
+        return Object.entries(library.languages).map(([code, language]) => ({
+            code,
+            name: language.name || code,
+            nativeName: language.nativeName || language.name || code,
+            isDefault: code === library.defaultLanguage
+        }));
+    }
+
+    hasSet(id) {
+        return Object.prototype.hasOwnProperty.call(this.load().sets, id);
+    }
+
+    // Unknown or empty ids fall back to the default set
+    resolveSet(id) {
+        return id && this.hasSet(id) ? id : this.defaultSet;
+    }
+
+    listSets() {
+        const library = this.load();
+        return Object.entries(library.sets).map(([id, set]) => {
+            const templates = Object.values(set.prompts).flat();
+            return {
+                id,
+                name: set.name || id,
+                description: set.description || '',
+                isDefault: id === library.defaultSet,
+                providers: Object.keys(set.prompts).filter(key => key !== 'default'),
+                // Languages with prompts written for them (others get the default language's plus answerIn)
+                languages: [library.defaultLanguage, ...Object.keys(set.translations || {})],
+                variables: VARIABLES.filter(name => templates.some(template => templateVariables(template).includes(name)))
+            };
+        });
+    }
+
+    // { templates, options } for renderTemplates - a translated list when the set has one for the language
+    templatesFor(setId, providerId, language = this.defaultLanguage) {
+        const library = this.load();
+        const set = library.sets[this.resolveSet(setId)];
+        const code = this.hasLanguage(language) ? language : library.defaultLanguage;
+        const settings = library.languages[code];
+        const translated = code !== library.defaultLanguage && set.translations && set.translations[code];
+        const lists = translated || set.prompts;
+
+        return {
+            templates: lists[providerId] || lists.default,
+            options: {
+                locationHint: (translated ? settings : library.languages[library.defaultLanguage]).locationHint || null,
+                answerIn: code !== library.defaultLanguage && !translated ? settings.answerIn || null : null
+            }
+        };
+    }
+
+    // Prompts for one keyword (and location), in the order they are tried
+    build(setId, providerId, vars, language) {
+        const { templates, options } = this.templatesFor(setId, providerId, language);
+        return renderTemplates(templates, vars, options)
+            .map(item => item.prompt)
+            .filter(Boolean);
+    }
+
+    // Every template of a set for the given providers, rendered with vars - skipped ones have prompt null
+    preview(setId, providerIds, vars, language) {
+        return providerIds.map(providerId => {
+            const { templates, options } = this.templatesFor(setId, providerId, language);
+            return { provider: providerId, prompts: renderTemplates(templates, vars, options) };
+        });
+    }
+}
+
+module.exports = { PromptLibrary, renderTemplate, renderTemplates, templateVariables, validateLibrary, VARIABLES };
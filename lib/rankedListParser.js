@@ -0,0 +1,187 @@
+// Ranked List Parser - pulls the ordered list of recommended entities out of an LLM answer
+//
+// Looks for, in order of preference: a markdown table, a numbered list (also "### 1. Name" headings),
+// a top-level bullet list, then bold names or domains in prose. Each entity gets
+// { rank, name, url, snippet, line, source } where rank is its 1-based place in that list.
+const { compact } = require('./brandMatcher');
+
+const URL_PATTERN = /https?:\/\/[^\s)\]>"'|]+/i;
+const DOMAIN_PATTERN = /\b((?:[a-z0-9-]+\.)+(?:com|net|org|io|co|ai|biz|agency|us|uk|ca|de|fr|es|au|app|dev|tech|digital|marketing))\b/i;
+const MARKDOWN_LINK = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/;
+// Table headers in English, French and Spanish
+const NAME_HEADERS = /^(name|company|agency|business|brand|provider|firm|vendor|tool|product|platform|service|nom|entreprise|soci[ée]t[ée]|agence|marque|fournisseur|nombre|empresa|agencia|marca|proveedor|negocio)/iu;
+const RANK_HEADERS = /^(rank|#|no\.?|n[o°º]\.?|position|pos\.?|rang|classement|posici[oó]n|puesto)$/iu;
+const URL_HEADERS = /^(website|url|site|domain|link|lien|sitio|enlace|p[aá]gina)/iu;
+const MAX_NAME_LENGTH = 80;
+const MAX_SNIPPET_LENGTH = 300;
+
+function stripMarkdown(text) {
+    return text
+        .replace(MARKDOWN_LINK, '$1')
+        .replace(/[*_`]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function findUrl(text) {
+    const link = text.match(MARKDOWN_LINK);
+    if (link) return link[2];
+
+    const url = text.match(URL_PATTERN);
+    if (url) return url[0].replace(/[.,;:]+$/, '');
+
+    const domain = text.match(DOMAIN_PATTERN);
+    return domain ? domain[1].toLowerCase() : null;
+}
+
+// "**Acme Corp** - great reviews" / "[Acme](https://acme.com): ..." / "Acme Corp (acme.com) – ..." -> "Acme Corp"
+function extractName(text) {
+    const bold = text.match(/\*\*([^*]+)\*\*/);
+    if (bold) return cleanName(bold[1]);
+
+    const link = text.match(MARKDOWN_LINK);
+    if (link) return cleanName(link[1]);
+
+    const plain = stripMarkdown(text);
+    const head = plain.split(/\s+[-–—]\s+|:\s|\s\(|\s\|/)[0];
+    return cleanName(head);
+}
+
+function cleanName(name) {
+    const cleaned = stripMarkdown(name).replace(/^\d+[.)]\s*/, '').replace(/[:.,;]+$/, '').trim();
+    return cleaned.length > MAX_NAME_LENGTH ? null : cleaned || null;
+}
+
+// Bold field labels inside descriptions ("**Services:** SEO, PPC") are not entities
+function isLabel(text) {
+    return /^\s*\*\*[^*]{1,40}:\s*\*\*/.test(text);
+}
+
+function entity(name, text, index, source) {
+    return {
+        name,
+        url: findUrl(text),
+        snippet: stripMarkdown(text).slice(0, MAX_SNIPPET_LENGTH),
+        line: index + 1,
+        source
+    };
+}
+
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+function parseTable(lines) {
+    for (let i = 0; i < lines.length - 1; i++) {
+        if (!lines[i].includes('|') || !/^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) continue;
+
+        const headers = splitRow(lines[i]).map(stripMarkdown);
+        const rankColumn = headers.findIndex(h => RANK_HEADERS.test(h));
+        const urlColumn = headers.findIndex(h => URL_HEADERS.test(h));
+        let nameColumn = headers.findIndex(h => NAME_HEADERS.test(h));
+        if (nameColumn === -1) nameColumn = headers.findIndex((_, col) => col !== rankColumn);
+
+        const entities = [];
+        for (let j = i + 2; j < lines.length && lines[j].includes('|'); j++) {
+            const cells = splitRow(lines[j]);
+            const name = cells[nameColumn] !== undefined ? cleanName(cells[nameColumn]) : null;
+            if (!name) continue;
+
+            const found = entity(name, lines[j], j, 'table');
+            if (urlColumn !== -1 && cells[urlColumn]) found.url = findUrl(cells[urlColumn]) || found.url;
+            entities.push(found);
+        }
+
+        if (entities.length >= 2) return entities;
+    }
+    return [];
+}
+
+function parseListItems(lines, pattern, source) {
+    const items = [];
+    lines.forEach((line, index) => {
+        const match = line.match(pattern);
+        if (match) items.push({ indent: match[1].length, text: match[2], index });
+    });
+    if (items.length === 0) return [];
+
+    // Only top-level items - nested bullets are usually details about the entity above them
+    const topIndent = Math.min(...items.map(item => item.indent));
+    return items
+        .filter(item => item.indent === topIndent && !isLabel(item.text))
+        .map(item => {
+            const name = extractName(item.text);
+            return name ? entity(name, item.text, item.index, source) : null;
+        })
+        .filter(Boolean);
+}
+
+// Bold names and cited domains in reading order
+function parseProse(lines) {
+    const found = [];
+
+    lines.forEach((line, index) => {
+        const bolds = Array.from(line.matchAll(/\*\*([^*]+)\*\*/g));
+        bolds.forEach((match, i) => {
+            const name = cleanName(match[1]);
+            if (!name || /:$/.test(match[1].trim())) return;
+
+            // URL only from the text up to the next bold name, so it belongs to this entity
+            const segment = line.slice(match.index, bolds[i + 1] ? bolds[i + 1].index : line.length);
+            found.push({ offset: match.index, ...entity(name, line, index, 'prose'), url: findUrl(segment) });
+        });
+
+        for (const match of line.matchAll(new RegExp(DOMAIN_PATTERN.source, 'gi'))) {
+            const domain = match[1].toLowerCase();
+            // Already attached to a bold name on this line
+            if (found.some(e => e.line === index + 1 && e.url && e.url.toLowerCase().includes(domain))) continue;
+            found.push({ offset: match.index, ...entity(domain, line, index, 'prose'), url: domain });
+        }
+    });
+
+    return found
+        .sort((a, b) => a.line - b.line || a.offset - b.offset)
+        .map(({ offset, ...rest }) => rest);
+}
+
+function dedupe(entities) {
+    const seen = new Set();
+    return entities.filter(found => {
+        const key = compact(found.name);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function parseRankedList(content) {
+    const lines = String(content || '').split('\n');
+
+    const strategies = [
+        () => parseTable(lines),
+        () => parseListItems(lines, /^(\s*)(?:#{1,6}\s*)?(?:\*\*)?\d+[.)]\*{0,2}\s+(.+)$/, 'numbered'),
+        () => parseListItems(lines, /^(\s*)[-*•+]\s+(.+)$/, 'bullet'),
+        () => parseProse(lines)
+    ];
+
+    for (const strategy of strategies) {
+        const entities = dedupe(strategy());
+        if (entities.length > 0) {
+            return entities.map((found, i) => ({ rank: i + 1, ...found }));
+        }
+    }
+    return [];
+}
+
+// Whether a BrandMatcher recognises a list entity by its name or URL
+function entityMatches(matcher, found) {
+    return matcher.isMentioned(found.name) || (!!found.url && matcher.isMentioned(found.url));
+}
+
+// Rank of the first list entity the matcher recognises, or null when unranked
+function findRank(entities, matcher) {
+    const match = entities.find(found => entityMatches(matcher, found));
+    return match ? match.rank : null;
+}
+
+module.exports = { parseRankedList, findRank, entityMatches, extractName, findUrl };
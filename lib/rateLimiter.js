@@ -0,0 +1,116 @@
+// Rate limiting - a token bucket per provider plus a small concurrency pool
+
+class TokenBucket {
+    constructor({ requestsPerMinute = 60, burst = 5 } = {}) {
+        this.capacity = Math.max(1, burst);
+        this.tokens = this.capacity;
+        this.refillPerMs = requestsPerMinute / 60000;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.waiting = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    // Resolves once a request may go out; callers are served in arrival order
+    take() {
+        const turn = this.waiting.then(async () => {
+            for (;;) {
+                const pause = this.pausedUntil - Date.now();
+                if (pause > 0) {
+                    await sleep(pause);
+                    continue;
+                }
+
+                this.refill();
+                if (this.tokens >= 1) {
+                    this.tokens -= 1;
+                    return;
+                }
+                await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+            }
+        });
+
+        this.waiting = turn.catch(() => {});
+        return turn;
+    }
+
+    // A 429 means the provider's real limit is tighter than ours - hold everyone back
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.tokens = 0;
+    }
+}
+
+const buckets = new Map();
+
+// RATE_LIMIT_<PROVIDER>=<requests per minute> overrides the adapter's default
+function getBucket(provider, env = process.env) {
+    if (!buckets.has(provider.id)) {
+        const defaults = provider.rateLimit || {};
+        const override = parseInt(env[`RATE_LIMIT_${provider.id.toUpperCase()}`]);
+        buckets.set(provider.id, new TokenBucket({
+            requestsPerMinute: override || defaults.requestsPerMinute || 60,
+            burst: defaults.burst || 5
+        }));
+    }
+    return buckets.get(provider.id);
+}
+
+// Counts hits per key (e.g. a client IP) in fixed windows - for turning callers away, not for pacing them
+class WindowLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+    }
+
+    // { allowed, remaining, retryAfterSeconds }
+    hit(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            if (this.windows.size > 10000) this.prune(now);
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        if (window.count >= this.limit) {
+            return { allowed: false, remaining: 0, retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000) };
+        }
+        window.count++;
+        return { allowed: true, remaining: this.limit - window.count, retryAfterSeconds: null };
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+// Like Promise.all over items, with at most `limit` calls of fn in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { TokenBucket, WindowLimiter, getBucket, mapWithConcurrency, sleep };
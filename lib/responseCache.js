@@ -0,0 +1,103 @@
+// Response Cache - raw provider answers on disk, keyed by provider, model, prompt and request parameters
+//
+// Only the answer text, its citations and the model version that wrote it are cached. Brand, competitor,
+// ranking and sentiment analysis always re-runs on the cached text, so one answer to "seo services"
+// serves every lead no matter which business or competitors they asked about.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const fileStore = require('./fileStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class ResponseCache {
+    constructor({ dir = 'response-cache', ttlHours = 24 } = {}) {
+        this.dir = dir;
+        this.ttlMs = ttlHours * HOUR_MS;
+        this.metrics = { hits: 0, misses: 0, expired: 0, bypassed: 0, writes: 0, errors: 0, providers: {} };
+    }
+
+    // TTL 0 turns caching off altogether
+    get enabled() {
+        return this.ttlMs > 0;
+    }
+
+    keyFor({ provider, model, prompt, params = {} }) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([provider, model, prompt, params]))
+            .digest('hex');
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    count(metric, provider) {
+        this.metrics[metric]++;
+        const counts = this.metrics.providers[provider] = this.metrics.providers[provider] || { hits: 0, misses: 0, bypassed: 0 };
+        if (metric in counts) counts[metric]++;
+    }
+
+    // Cached { content, citations } or null; bypass skips the read (set() still refreshes the entry)
+    async get(request, { bypass = false } = {}) {
+        if (!this.enabled) return null;
+        if (bypass) {
+            this.count('bypassed', request.provider);
+            return null;
+        }
+
+        const file = this.fileFor(this.keyFor(request));
+        let entry;
+        try {
+            entry = await fileStore.readJson(file, null);
+        } catch (error) {
+            // A corrupt entry is just a miss
+            this.metrics.errors++;
+            entry = null;
+        }
+
+        if (entry && Date.parse(entry.expiresAt) > Date.now()) {
+            this.count('hits', request.provider);
+            return entry.reply;
+        }
+
+        if (entry) {
+            this.metrics.expired++;
+            await fs.unlink(fileStore.dataPath(file)).catch(() => {});
+        }
+        this.count('misses', request.provider);
+        return null;
+    }
+
+    async set(request, reply) {
+        if (!this.enabled || !reply) return;
+
+        const now = Date.now();
+        try {
+            await fileStore.writeJsonAtomic(this.fileFor(this.keyFor(request)), {
+                provider: request.provider,
+                model: request.model,
+                storedAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + this.ttlMs).toISOString(),
+                reply: { content: reply.content, citations: reply.citations || [], modelVersion: reply.modelVersion || null }
+            });
+            this.metrics.writes++;
+        } catch (error) {
+            // Caching is an optimisation - a failed write must never fail the scan
+            this.metrics.errors++;
+            console.error('Response cache write failed:', error.message);
+        }
+    }
+
+    stats() {
+        const lookups = this.metrics.hits + this.metrics.misses;
+        return {
+            enabled: this.enabled,
+            ttlHours: this.ttlMs / HOUR_MS,
+            ...this.metrics,
+            hitRate: lookups > 0 ? Math.round((this.metrics.hits / lookups) * 1000) / 10 : 0
+        };
+    }
+}
+
+module.exports = ResponseCache;
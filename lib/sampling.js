@@ -0,0 +1,112 @@
+// Sampling Statistics - mention probability and rank distribution from repeated answers
+//
+// LLM answers are stochastic, so a keyword's visibility is the share of sampled answers that mention
+// the client, reported with a 95% Wilson score interval. An interval wider than
+// MAX_RELIABLE_INTERVAL_WIDTH means too few samples to trust the number (one answer always is).
+const MAX_SAMPLES = 10;
+// Queries x samples per platform - each sample of each prompt variation is one provider call
+const MAX_SAMPLED_QUERIES = 250;
+const Z_95 = 1.96;
+const MAX_RELIABLE_INTERVAL_WIDTH = 0.5;
+
+function round(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// 95% Wilson score interval for successes out of n - stays inside [0, 1] and behaves at 0 / n
+function wilsonInterval(successes, n, z = Z_95) {
+    if (n === 0) return [0, 1];
+    const p = successes / n;
+    const z2 = z * z;
+    const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const margin = (z / (1 + z2 / n)) * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n));
+    return [round(Math.max(0, center - margin)), round(Math.min(1, center + margin))];
+}
+
+function median(sorted) {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// { ranked, min, max, median, mean, distribution: { rank: count } } over the answers that ranked the client
+function rankStats(ranks) {
+    if (ranks.length === 0) return null;
+    const sorted = ranks.slice().sort((a, b) => a - b);
+    const distribution = {};
+    sorted.forEach(rank => { distribution[rank] = (distribution[rank] || 0) + 1; });
+    return {
+        ranked: sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        median: median(sorted),
+        mean: round(sorted.reduce((sum, rank) => sum + rank, 0) / sorted.length, 2),
+        distribution
+    };
+}
+
+// Statistics over every analysed answer for one keyword
+// stoppedEarly: first-mention mode quit after a mention, so the probability leans high
+function summarizeSamples(analyses, { samplesPerPrompt = 1, stoppedEarly = false } = {}) {
+    const n = analyses.length;
+    const mentions = analyses.filter(analysis => analysis.mentioned).length;
+    const interval = wilsonInterval(mentions, n);
+    return {
+        samplesPerPrompt,
+        samples: n,
+        mentions,
+        mentionProbability: n > 0 ? round(mentions / n) : 0,
+        interval,
+        rank: rankStats(analyses.filter(analysis => analysis.mentioned && analysis.position).map(analysis => analysis.position)),
+        stoppedEarly,
+        reliable: !stoppedEarly && interval[1] - interval[0] <= MAX_RELIABLE_INTERVAL_WIDTH
+    };
+}
+
+// The answer that stands for the keyword: when most samples mention the client (without sampling: any
+// answer does), the mention closest to the median rank; otherwise the longest answer without a mention
+function pickRepresentative(analyses, stats) {
+    const mentioned = stats.samplesPerPrompt > 1 ? stats.mentionProbability >= 0.5 : stats.mentions > 0;
+    if (mentioned) {
+        const target = stats.rank ? stats.rank.median : null;
+        return analyses
+            .filter(analysis => analysis.mentioned)
+            .sort((a, b) => distanceTo(a.position, target) - distanceTo(b.position, target))[0];
+    }
+    return analyses
+        .filter(analysis => !analysis.mentioned)
+        .sort((a, b) => b.responseLength - a.responseLength)[0];
+}
+
+function distanceTo(position, target) {
+    if (target === null) return position ? 1 : 0;
+    return position ? Math.abs(position - target) : Infinity;
+}
+
+// Pools keyword statistics for a platform; probability is the mean over keywords
+function poolSamples(statsList) {
+    const ranks = {};
+    statsList.forEach(stats => {
+        Object.entries((stats.rank && stats.rank.distribution) || {}).forEach(([rank, count]) => {
+            ranks[rank] = (ranks[rank] || 0) + count;
+        });
+    });
+    return {
+        samples: statsList.reduce((sum, stats) => sum + stats.samples, 0),
+        mentionProbability: statsList.length > 0
+            ? round(statsList.reduce((sum, stats) => sum + stats.mentionProbability, 0) / statsList.length)
+            : 0,
+        rankDistribution: ranks
+    };
+}
+
+module.exports = {
+    MAX_SAMPLES,
+    MAX_SAMPLED_QUERIES,
+    MAX_RELIABLE_INTERVAL_WIDTH,
+    wilsonInterval,
+    rankStats,
+    summarizeSamples,
+    pickRepresentative,
+    poolSamples
+};
@@ -0,0 +1,113 @@
+// In-process Scheduler - periodically runs analyzeVisibility for tracked projects that are due
+const { computeNextRun } = require('./projectStore');
+
+class Scheduler {
+    // apiKeyStore: scheduled runs of projects created with an API key count against that key's quota
+    constructor({ projectStore, analyzer, apiKeyStore = null, tickMs = 60000 }) {
+        this.projectStore = projectStore;
+        this.analyzer = analyzer;
+        this.apiKeyStore = apiKeyStore;
+        this.tickMs = tickMs;
+        this.timer = null;
+        this.running = new Set();
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        this.timer.unref(); // Never keep the process alive just for the scheduler
+        console.log(`⏰ Scheduler started (checking every ${Math.round(this.tickMs / 1000)}s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        try {
+            const due = await this.projectStore.due();
+
+            // Projects run one after another to keep API usage predictable
+            for (const project of due) {
+                if (this.running.has(project.id)) continue;
+                await this.runProject(project);
+            }
+        } catch (error) {
+            console.error('Scheduler tick failed:', error);
+        }
+    }
+
+    async runProject(project, trigger = 'schedule') {
+        if (this.running.has(project.id)) {
+            throw new Error('Project scan already in progress');
+        }
+
+        this.running.add(project.id);
+        const startedAt = new Date();
+        console.log(`⏰ Running ${trigger} scan for project "${project.name}" (${project.website})...`);
+
+        const run = {
+            projectId: project.id,
+            trigger,
+            startedAt: startedAt.toISOString(),
+            finishedAt: null,
+            status: 'success',
+            error: null,
+            summary: null,
+            results: null
+        };
+
+        try {
+            // Manual runs were charged to the caller's key by the route
+            if (trigger === 'schedule' && project.apiKeyId && this.apiKeyStore) {
+                const quota = await this.apiKeyStore.consume(project.apiKeyId);
+                if (!quota.allowed) {
+                    const error = new Error(quota.revoked
+                        ? 'The API key that created this project was revoked'
+                        : `The API key's daily quota of ${quota.limit} scans is used up`);
+                    error.code = 'quota-exceeded';
+                    throw error;
+                }
+            }
+
+            const results = await this.analyzer.analyzeVisibility({
+                website: project.website,
+                company: project.company,
+                competitors: project.competitors,
+                keywords: project.keywords,
+                aliases: project.aliases || [],
+                industry: project.industry,
+                locations: project.locations || [],
+                languages: project.languages || [],
+                samples: project.samples || 1,
+                models: project.models || {}
+            }, {
+                source: 'scheduled',
+                // Tracking measures what the models say now - read fresh answers (they still refresh the cache)
+                bypassCache: true
+            });
+
+            run.summary = results.summary;
+            run.results = results;
+        } catch (error) {
+            console.error(`❌ Scan for project "${project.name}" ${error.code === 'quota-exceeded' ? 'skipped' : 'failed'}:`, error.message);
+            run.status = error.code === 'quota-exceeded' ? 'skipped' : 'failed';
+            run.error = error.message;
+        } finally {
+            this.running.delete(project.id);
+        }
+
+        run.finishedAt = new Date().toISOString();
+        await this.projectStore.recordRun(run);
+        await this.projectStore.update(project.id, {
+            lastRunAt: run.finishedAt,
+            lastRunStatus: run.status,
+            nextRunAt: computeNextRun(project.schedule)
+        });
+
+        return run;
+    }
+}
+
+module.exports = Scheduler;
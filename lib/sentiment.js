@@ -0,0 +1,179 @@
+// Mention Sentiment - classifies each brand mention as positive, neutral or negative
+//
+// Lexicon based: the sentence holding the mention is scored from positive/negative cue phrases,
+// with a short negation window ("not recommended", "isn't the best") flipping a cue. Mirrors the
+// isPositiveContext / isNegativeContext checks of the PHP backend. Cues are per scan language; an answer
+// in a language without a lexicon gets no sentiment rather than a "neutral" it never earned.
+
+const LEXICONS = {
+    en: {
+        positive: [
+            'recommend', 'recommended', 'best', 'top', 'leading', 'excellent', 'outstanding', 'great', 'trusted',
+            'reputable', 'award-winning', 'award winning', 'highly rated', 'top-rated', 'top rated', 'well-regarded',
+            'well regarded', 'well-known', 'well known', 'known for', 'specializes in', 'specialises in', 'focuses on',
+            'expert', 'expertise', 'reliable', 'popular', 'strong', 'proven', 'innovative', 'standout', 'favorite',
+            'praised', 'positive reviews', 'satisfied', 'effective', 'renowned', 'respected', 'notable'
+        ],
+        negative: [
+            'avoid', 'poor', 'bad', 'worst', 'complaints', 'complaint', 'negative reviews', 'mixed reviews', 'lawsuit',
+            'scam', 'overpriced', 'expensive', 'unreliable', 'unresponsive', 'controversy', 'controversial', 'declined',
+            'issues', 'problems', 'criticized', 'criticised', 'red flag', 'beware', 'caution', 'lacks', 'lacking',
+            'outdated', 'disappointing', 'not related', 'not relevant', 'not associated', 'not known for',
+            'no direct connection', 'no association', 'does not specialize', 'none of the', 'none of these'
+        ],
+        negations: ['not', 'no', 'never', "isn't", "aren't", "wasn't", "don't", "doesn't", 'without', 'hardly']
+    },
+    fr: {
+        positive: [
+            'recommande', 'recommandé', 'recommandée', 'recommandés', 'recommandées', 'meilleur', 'meilleure',
+            'meilleurs', 'meilleures', 'leader', 'excellent', 'excellente', 'excellents', 'remarquable', 'de confiance',
+            'réputé', 'réputée', 'réputés', 'reconnu', 'reconnue', 'reconnus', 'bien noté', 'bien notée', 'très bien noté',
+            'primé', 'primée', 'connu pour', 'spécialisé dans', 'spécialisée dans', 'expert', 'experts', 'expertise',
+            'fiable', 'fiables', 'populaire', 'solide', 'innovant', 'innovante', 'incontournable', 'apprécié',
+            'appréciée', 'avis positifs', 'satisfaits', 'efficace', 'renommé', 'renommée', 'respecté', 'respectée'
+        ],
+        negative: [
+            'éviter', 'mauvais', 'mauvaise', 'pire', 'plaintes', 'plainte', 'avis négatifs', 'avis mitigés',
+            'procès', 'arnaque', 'escroquerie', 'trop cher', 'coûteux', 'coûteuse', 'peu fiable', 'injoignable',
+            'controverse', 'controversé', 'controversée', 'problèmes', 'critiqué', 'critiquée', 'méfiez-vous',
+            'prudence', 'manque de', 'dépassé', 'dépassée', 'obsolète', 'décevant', 'décevante', 'sans rapport',
+            'aucun lien', 'aucune association', "n'est pas lié", "n'est pas spécialisé", 'aucun de ces', 'aucune de ces'
+        ],
+        // "n" is the elided "ne" of "n'est pas"
+        negations: ['ne', 'n', 'pas', 'jamais', 'sans', 'aucun', 'aucune', 'guère']
+    },
+    es: {
+        positive: [
+            'recomienda', 'recomendado', 'recomendada', 'recomendados', 'recomendadas', 'recomendable', 'mejor',
+            'mejores', 'líder', 'líderes', 'excelente', 'excelentes', 'destacado', 'destacada', 'de confianza',
+            'confiable', 'fiable', 'reputado', 'reputada', 'prestigioso', 'prestigiosa', 'bien valorado', 'bien valorada',
+            'premiado', 'premiada', 'conocido por', 'conocida por', 'especializado en', 'especializada en', 'experto',
+            'expertos', 'popular', 'sólido', 'sólida', 'innovador', 'innovadora', 'reseñas positivas', 'satisfechos',
+            'eficaz', 'efectivo', 'reconocido', 'reconocida', 'respetado', 'respetada'
+        ],
+        negative: [
+            'evitar', 'evite', 'malo', 'mala', 'peor', 'quejas', 'queja', 'reseñas negativas', 'opiniones negativas',
+            'reseñas mixtas', 'estafa', 'fraude', 'demasiado caro', 'costoso', 'costosa', 'poco fiable', 'poco confiable',
+            'controversia', 'polémico', 'polémica', 'problemas', 'criticado', 'criticada', 'cuidado con', 'precaución',
+            'carece', 'desactualizado', 'desactualizada', 'obsoleto', 'decepcionante', 'no está relacionado',
+            'no está relacionada', 'sin relación', 'no se especializa', 'ninguno de', 'ninguna de'
+        ],
+        negations: ['no', 'nunca', 'jamás', 'sin', 'tampoco', 'ni', 'apenas']
+    }
+};
+const NEGATION_WINDOW = 3; // words before a cue that can flip it
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// \b only knows ASCII letters, so "recommandé" needs its own word boundaries
+const cuePatterns = cues => cues.map(cue => ({
+    cue,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(cue)}(?![\\p{L}\\p{N}])`, 'giu')
+}));
+const COMPILED = Object.fromEntries(Object.entries(LEXICONS).map(([language, lexicon]) => [language, {
+    positive: cuePatterns(lexicon.positive),
+    negative: cuePatterns(lexicon.negative),
+    negations: lexicon.negations
+}]));
+
+function hasLexicon(language) {
+    return Object.prototype.hasOwnProperty.call(COMPILED, language);
+}
+
+// Sentence (or list item / table row) around a character offset
+function sentenceAround(content, start, end = start) {
+    const before = content.slice(0, start);
+    const boundary = Math.max(before.lastIndexOf('\n'), before.search(/[.!?]\s+[^.!?]*$/));
+    const from = boundary === -1 ? 0 : boundary + 1;
+
+    const after = content.slice(end);
+    const stop = after.search(/[.!?](\s|$)|\n/);
+    const to = stop === -1 ? content.length : end + stop + 1;
+
+    return content.slice(from, to)
+        .replace(/^[\s>*#\-|\d.)]+/, '')
+        .replace(/\*\*|__|`/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function isNegated(sentence, index, negations) {
+    const words = sentence.slice(0, index).toLowerCase().replace(/’/g, "'").split(/\s+/).filter(Boolean).slice(-NEGATION_WINDOW);
+    return words.some(word => {
+        const bare = word.replace(/[^\p{L}']/gu, '');
+        // "isn't" is listed whole, French elisions ("n'est") by their first part
+        return negations.includes(bare) || negations.includes(bare.split("'")[0]);
+    });
+}
+
+function scoreSentence(sentence, language = 'en') {
+    const lexicon = COMPILED[language] || COMPILED.en;
+    let score = 0;
+    const cues = [];
+
+    const apply = (patterns, weight) => {
+        for (const { cue, pattern } of patterns) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(sentence)) !== null) {
+                // Negative cues already carry their negation ("not related")
+                const flipped = weight > 0 && isNegated(sentence, match.index, lexicon.negations);
+                score += flipped ? -weight : weight;
+                cues.push(flipped ? `not ${cue}` : cue);
+            }
+        }
+    };
+
+    apply(lexicon.positive, 1);
+    apply(lexicon.negative, -1.5); // Warnings weigh more than generic praise
+
+    return { score, cues };
+}
+
+function label(score) {
+    if (score > 0) return 'positive';
+    if (score < 0) return 'negative';
+    return 'neutral';
+}
+
+// mention = { start, end } as returned by BrandMatcher.findMentions
+function classifyMention(content, mention, language = 'en') {
+    const evidence = sentenceAround(content, mention.start, mention.end);
+    const { score, cues } = scoreSentence(evidence, language);
+    return { sentiment: label(score), score, evidence, cues };
+}
+
+// Overall sentiment of a brand in one response, with the sentence that decided it - null when it isn't
+// mentioned or the scan language has no lexicon
+function classifyBrand(content, mentions, language = 'en') {
+    if (!mentions || mentions.length === 0 || !hasLexicon(language)) return null;
+
+    // Name and domain in the same sentence are one mention, not two
+    const seen = new Set();
+    const classified = mentions.map(mention => classifyMention(content, mention, language)).filter(c => {
+        if (seen.has(c.evidence)) return false;
+        seen.add(c.evidence);
+        return true;
+    });
+    const total = classified.reduce((sum, c) => sum + c.score, 0);
+
+    // Evidence: the strongest sentence pointing the same way as the total
+    const deciding = classified.slice().sort((a, b) =>
+        total < 0 ? a.score - b.score : b.score - a.score
+    )[0];
+
+    return {
+        sentiment: label(total),
+        score: Math.round(total * 10) / 10,
+        evidence: deciding.evidence,
+        cues: deciding.cues,
+        mentions: classified.length
+    };
+}
+
+// Weight of a mention when scoring a platform - a warning is barely better than silence
+const SENTIMENT_WEIGHTS = { positive: 1, neutral: 0.8, negative: 0.2 };
+
+module.exports = { classifyMention, classifyBrand, sentenceAround, scoreSentence, hasLexicon, SENTIMENT_WEIGHTS };
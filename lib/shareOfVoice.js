@@ -0,0 +1,97 @@
+// Share of Voice - rank-weighted share of all recommendations, per platform, per keyword and overall
+//
+// Every response contributes a weight for each business it recommends: 1.0 for rank #1 down to 0.1
+// for rank #10 and beyond, and 0.3 for a mention outside the ranked list. A brand's share is its
+// weight over the weight of every business recommended in the same scope (client, listed competitors
+// and everyone else), so the numbers are deterministic and comparable between brands.
+const { entityMatches } = require('./rankedListParser');
+
+const UNRANKED_WEIGHT = 0.3;
+
+function rankWeight(rank) {
+    return rank ? Math.max(0.1, 1 - (rank - 1) * 0.1) : UNRANKED_WEIGHT;
+}
+
+function emptyTally() {
+    return { overall: 0, platforms: {}, keywords: {}, mentions: 0 };
+}
+
+function addWeight(tally, platform, keyword, weight) {
+    tally.overall += weight;
+    tally.platforms[platform] = (tally.platforms[platform] || 0) + weight;
+    tally.keywords[keyword] = (tally.keywords[keyword] || 0) + weight;
+}
+
+function percent(weight, total) {
+    return total > 0 ? Math.round((weight / total) * 1000) / 10 : 0;
+}
+
+function toShares(tally, totals) {
+    const shares = { overall: percent(tally.overall, totals.overall), byPlatform: {}, byKeyword: {} };
+    for (const platform of Object.keys(totals.platforms)) {
+        shares.byPlatform[platform] = percent(tally.platforms[platform] || 0, totals.platforms[platform]);
+    }
+    for (const keyword of Object.keys(totals.keywords)) {
+        shares.byKeyword[keyword] = percent(tally.keywords[keyword] || 0, totals.keywords[keyword]);
+    }
+    return shares;
+}
+
+function calculateShareOfVoice(platformResults, brands) {
+    const tracked = [brands.client, ...brands.competitors];
+    const tallies = tracked.map(emptyTally);
+    const others = emptyTally();
+    const totals = emptyTally();
+
+    for (const [platform, platformResult] of Object.entries(platformResults || {})) {
+        if (platformResult.error) continue;
+
+        for (const [keyword, result] of Object.entries(platformResult.keywordResults || {})) {
+            if (result.error) continue;
+
+            // Scope exists even when nobody was recommended, so every brand gets a 0 rather than a gap
+            addWeight(totals, platform, keyword, 0);
+
+            const credit = (tally, position) => {
+                const weight = rankWeight(position);
+                addWeight(tally, platform, keyword, weight);
+                addWeight(totals, platform, keyword, weight);
+                tally.mentions++;
+            };
+
+            if (result.mentioned) credit(tallies[0], result.position);
+
+            brands.competitors.forEach((competitor, i) => {
+                const mention = (result.competitorMentions || []).find(cm => cm.domain === competitor.domain);
+                if (mention && mention.mentioned) credit(tallies[i + 1], mention.position);
+            });
+
+            // Everyone else the model recommended
+            for (const entity of result.rankedList || []) {
+                if (tracked.some(brand => entityMatches(brand, entity))) continue;
+                credit(others, entity.rank);
+            }
+        }
+    }
+
+    const brandShares = tracked.map((brand, i) => ({
+        name: brand.name,
+        domain: brand.domain,
+        isClient: i === 0,
+        mentions: tallies[i].mentions,
+        ...toShares(tallies[i], totals)
+    }));
+
+    const competitorShares = brandShares.slice(1).map(b => b.overall);
+
+    return {
+        method: 'rank-weighted',
+        client: brandShares[0],
+        competitors: brandShares.slice(1),
+        others: { mentions: others.mentions, ...toShares(others, totals) },
+        competitorAverage: competitorShares.length > 0 ?
+            Math.round((competitorShares.reduce((a, b) => a + b, 0) / competitorShares.length) * 10) / 10 : 0
+    };
+}
+
+module.exports = { calculateShareOfVoice, rankWeight, UNRANKED_WEIGHT };
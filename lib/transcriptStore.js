@@ -0,0 +1,34 @@
+// Transcript Store - every prompt and answer behind an analysis, so a score can be checked against what was said
+//
+// One JSONL file per analysis (data/transcripts/<id>.jsonl); retries append their answers to it.
+// Each entry carries the spans where the client and competitors were matched (see
+// LLMAnalyzer.mentionSpans), so a viewer highlights exactly what the scoring counted.
+const path = require('path');
+const fileStore = require('./fileStore');
+
+class TranscriptStore {
+    constructor(dir = 'transcripts') {
+        this.dir = dir;
+    }
+
+    fileFor(analysisId) {
+        return path.join(this.dir, `${analysisId}.jsonl`);
+    }
+
+    // run: analyze / historical / scheduled / retry - which pass of the analysis asked
+    async append(analysisId, entries, run = 'analyze') {
+        await fileStore.appendJsonLines(this.fileFor(analysisId), entries.map(entry => ({ ...entry, run })));
+        return entries.length;
+    }
+
+    // Optionally only one platform key ("chatgpt", "chatgpt:gpt-4o-mini") and / or query key
+    async list(analysisId, { platform = null, query = null } = {}) {
+        const entries = await fileStore.readJsonLines(this.fileFor(analysisId));
+        return entries.filter(entry =>
+            (!platform || entry.platform === platform) &&
+            (!query || entry.query === query)
+        );
+    }
+}
+
+module.exports = TranscriptStore;
@@ -0,0 +1,17 @@
+// URL helpers shared by the analyzer and the stores
+
+function extractDomain(url) {
+    try {
+        const urlObj = new URL(url.startsWith('http') ? url : `https://${url}`);
+        return urlObj.hostname.replace('www.', '');
+    } catch {
+        return url.replace(/^https?:\/\//, '').replace('www.', '').split('/')[0];
+    }
+}
+
+// Lowercased bare domain, used as the key for anything stored per website
+function normalizeWebsite(url) {
+    return extractDomain(String(url || '').trim()).toLowerCase();
+}
+
+module.exports = { extractDomain, normalizeWebsite };
@@ -0,0 +1,117 @@
+// Usage Store - what each analysis cost (usage.jsonl), for the admin report and the budget caps
+const fileStore = require('./fileStore');
+const { emptyUsage, addUsage } = require('./costs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfUtcDay(date = new Date()) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+class UsageStore {
+    // Caps in USD; 0 / unset means no cap
+    constructor({ file = 'usage.jsonl', perLeadUsd = 0, perDayUsd = 0 } = {}) {
+        this.file = file;
+        this.perLeadUsd = perLeadUsd;
+        this.perDayUsd = perDayUsd;
+    }
+
+    async record({ analysisId = null, source, lead = null, website, usage, byPlatform = {} }) {
+        if (!usage || usage.calls === 0) return null;
+
+        const row = {
+            timestamp: new Date().toISOString(),
+            analysisId,
+            source,
+            lead: lead ? String(lead).toLowerCase() : null,
+            website,
+            ...usage,
+            byPlatform
+        };
+        await fileStore.appendJsonLine(this.file, row);
+        return row;
+    }
+
+    async list({ since = null, lead = null } = {}) {
+        const rows = await fileStore.readJsonLines(this.file);
+        return rows.filter(row =>
+            (!since || new Date(row.timestamp) >= since) &&
+            (!lead || row.lead === String(lead).toLowerCase())
+        );
+    }
+
+    // Lead that paid for an analysis - retries count against the same lead
+    async leadFor(analysisId) {
+        const rows = await fileStore.readJsonLines(this.file);
+        const row = rows.find(r => r.analysisId === analysisId && r.lead);
+        return row ? row.lead : null;
+    }
+
+    // { allowed, reason, retryAfterSeconds } against the per-day and per-lead caps
+    async checkBudget(lead = null) {
+        if (this.perDayUsd > 0) {
+            const today = startOfUtcDay();
+            const spent = (await this.list({ since: today })).reduce((sum, row) => sum + row.cost, 0);
+            if (spent >= this.perDayUsd) {
+                return {
+                    allowed: false,
+                    reason: `Daily scan budget of $${this.perDayUsd} reached`,
+                    retryAfterSeconds: Math.ceil((today.getTime() + DAY_MS - Date.now()) / 1000)
+                };
+            }
+        }
+
+        if (this.perLeadUsd > 0 && lead) {
+            const spent = (await this.list({ lead })).reduce((sum, row) => sum + row.cost, 0);
+            if (spent >= this.perLeadUsd) {
+                return { allowed: false, reason: `Scan budget of $${this.perLeadUsd} for this lead reached`, retryAfterSeconds: null };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    // Totals, per-day, per-platform and top-lead breakdown for the admin endpoint
+    async report({ days = 30 } = {}) {
+        const since = startOfUtcDay(new Date(Date.now() - (days - 1) * DAY_MS));
+        const rows = await this.list({ since });
+
+        const totals = emptyUsage();
+        const byDay = {};
+        const byPlatform = {};
+        const byLead = {};
+
+        for (const row of rows) {
+            addUsage(totals, row);
+            addUsage(byDay[row.timestamp.slice(0, 10)] = byDay[row.timestamp.slice(0, 10)] || emptyUsage(), row);
+            for (const [platform, usage] of Object.entries(row.byPlatform || {})) {
+                addUsage(byPlatform[platform] = byPlatform[platform] || emptyUsage(), usage);
+            }
+            if (row.lead) {
+                const lead = byLead[row.lead] = byLead[row.lead] || { lead: row.lead, analyses: 0, ...emptyUsage() };
+                lead.analyses++;
+                addUsage(lead, row);
+            }
+        }
+
+        const today = byDay[new Date().toISOString().slice(0, 10)];
+        return {
+            since: since.toISOString(),
+            days,
+            analyses: rows.length,
+            totals,
+            byDay,
+            byPlatform,
+            topLeads: Object.values(byLead).sort((a, b) => b.cost - a.cost).slice(0, 20),
+            budgets: {
+                perDayUsd: this.perDayUsd || null,
+                perLeadUsd: this.perLeadUsd || null,
+                spentToday: today ? today.cost : 0
+            }
+        };
+    }
+}
+
+module.exports = UsageStore;
@@ -0,0 +1,20 @@
+// ChatGPT (OpenAI) provider adapter
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    vendor: 'OpenAI',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    model: process.env.OPENAI_MODEL || 'gpt-4o',
+    baseUrl: 'https://api.openai.com/v1',
+    maxAttempts: 3,
+    rateLimit: { requestsPerMinute: 60, burst: 5 },
+    systemPrompt: 'You are a knowledgeable assistant with expertise in local business landscapes. When discussing businesses in a specific area, mention any companies you know about, including their names, services, and locations. Be comprehensive and include both well-known and smaller local businesses.',
+    maxTokens: 1200,
+    temperature: 0.1,
+    extraBody: {
+        presence_penalty: 0.1,
+        frequency_penalty: 0.1
+    }
+});
@@ -0,0 +1,64 @@
+// Claude (Anthropic) provider adapter
+const { isAbortError } = require('../http');
+
+module.exports = {
+    id: 'claude',
+    name: 'Claude',
+    vendor: 'Anthropic',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-20241022',
+    maxAttempts: 3,
+    rateLimit: { requestsPerMinute: 50, burst: 3 },
+    maxTokens: 500,
+
+    requestParams() {
+        return { maxTokens: this.maxTokens };
+    },
+
+    async query({ prompt, apiKey, model, attempt, request = fetch }) {
+        try {
+            const response = await request('https://api.anthropic.com/v1/messages', {
+                method: 'POST',
+                headers: {
+                    'x-api-key': apiKey,
+                    'Content-Type': 'application/json',
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: this.maxTokens,
+                    messages: [
+                        {
+                            role: 'user',
+                            content: prompt
+                        }
+                    ]
+                })
+            });
+
+            if (!response.ok) {
+                console.log(`Claude API error on attempt ${attempt + 1}: ${response.status}`);
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data.content || !data.content[0]) {
+                console.log(`Invalid Claude response on attempt ${attempt + 1}`);
+                return null;
+            }
+
+            return {
+                content: data.content[0].text,
+                modelVersion: data.model || null,
+                usage: data.usage ? {
+                    inputTokens: data.usage.input_tokens || 0,
+                    outputTokens: data.usage.output_tokens || 0
+                } : null
+            };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.log(`Claude request failed on attempt ${attempt + 1}: ${error.message}`);
+            return null;
+        }
+    }
+};
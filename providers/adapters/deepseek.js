@@ -0,0 +1,13 @@
+// DeepSeek (DeepSeek) provider adapter - enable with LLM_PROVIDERS=...,deepseek
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+    id: 'deepseek',
+    name: 'DeepSeek',
+    vendor: 'DeepSeek',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+    baseUrl: 'https://api.deepseek.com/v1',
+    maxAttempts: 3,
+    rateLimit: { requestsPerMinute: 30, burst: 3 }
+});
@@ -0,0 +1,72 @@
+// Gemini (Google) provider adapter
+const { isAbortError } = require('../http');
+
+module.exports = {
+    id: 'gemini',
+    name: 'Gemini',
+    vendor: 'Google',
+    apiKeyEnv: 'GOOGLE_API_KEY',
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    maxAttempts: 3,
+    rateLimit: { requestsPerMinute: 60, burst: 5 },
+
+    // Google Search grounding is what makes Gemini return its sources. Off unless GEMINI_SEARCH_GROUNDING=true:
+    // grounded answers differ from plain ones and Google bills every grounded request
+    searchGrounding: process.env.GEMINI_SEARCH_GROUNDING === 'true',
+
+    requestParams() {
+        return { searchGrounding: this.searchGrounding };
+    },
+
+    async query({ prompt, apiKey, model, attempt, request = fetch }) {
+        try {
+            const response = await request(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    contents: [{
+                        parts: [{
+                            text: prompt
+                        }]
+                    }],
+                    ...(this.searchGrounding ? { tools: [{ google_search: {} }] } : {})
+                })
+            });
+
+            if (!response.ok) {
+                console.log(`Gemini API error on attempt ${attempt + 1}: ${response.status}`);
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+                console.log(`Invalid Gemini response on attempt ${attempt + 1}`);
+                return null;
+            }
+
+            const candidate = data.candidates[0];
+            const chunks = (candidate.groundingMetadata && candidate.groundingMetadata.groundingChunks) || [];
+            const usage = data.usageMetadata;
+
+            return {
+                // Grounded answers can come back split over several parts
+                content: (candidate.content.parts || []).map(part => part.text || '').join(''),
+                citations: chunks.filter(chunk => chunk.web).map(chunk => ({ url: chunk.web.uri, title: chunk.web.title })),
+                modelVersion: data.modelVersion || null,
+                // Google bills each grounded request on top of the tokens
+                grounded: this.searchGrounding,
+                // Thinking tokens are billed as output
+                usage: usage ? {
+                    inputTokens: usage.promptTokenCount || 0,
+                    outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+                } : null
+            };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.log(`Gemini request failed on attempt ${attempt + 1}: ${error.message}`);
+            return null;
+        }
+    }
+};
@@ -0,0 +1,13 @@
+// Grok (xAI) provider adapter - enable with LLM_PROVIDERS=...,grok
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+    id: 'grok',
+    name: 'Grok',
+    vendor: 'xAI',
+    apiKeyEnv: 'XAI_API_KEY',
+    model: process.env.GROK_MODEL || 'grok-2-latest',
+    baseUrl: 'https://api.x.ai/v1',
+    maxAttempts: 3,
+    rateLimit: { requestsPerMinute: 30, burst: 3 }
+});
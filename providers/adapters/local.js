@@ -0,0 +1,14 @@
+// Local OpenAI-compatible endpoint (Ollama, LM Studio, vLLM...) - enable with LLM_PROVIDERS=...,local
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+    id: 'local',
+    name: process.env.LOCAL_LLM_NAME || 'Local LLM',
+    vendor: 'Local LLM',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    apiKeyOptional: true, // Most local servers don't check the key
+    requiredEnv: ['LOCAL_LLM_BASE_URL'],
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    baseUrl: () => process.env.LOCAL_LLM_BASE_URL,
+    maxAttempts: 3
+});
@@ -0,0 +1,13 @@
+// Mistral (Mistral) provider adapter - enable with LLM_PROVIDERS=...,mistral
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+    id: 'mistral',
+    name: 'Mistral',
+    vendor: 'Mistral',
+    apiKeyEnv: 'MISTRAL_API_KEY',
+    model: process.env.MISTRAL_MODEL || 'mistral-large-latest',
+    baseUrl: 'https://api.mistral.ai/v1',
+    maxAttempts: 3,
+    rateLimit: { requestsPerMinute: 30, burst: 3 }
+});
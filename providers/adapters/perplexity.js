@@ -0,0 +1,15 @@
+// Perplexity provider adapter
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+    id: 'perplexity',
+    name: 'Perplexity',
+    vendor: 'Perplexity',
+    apiKeyEnv: 'PERPLEXITY_API_KEY',
+    model: process.env.PERPLEXITY_MODEL || 'sonar',
+    baseUrl: 'https://api.perplexity.ai',
+    maxAttempts: 2, // Limit to 2 attempts for Perplexity
+    rateLimit: { requestsPerMinute: 50, burst: 3 },
+    maxTokens: 800,
+    temperature: attempt => 0.3 + (attempt * 0.1)
+});
@@ -0,0 +1,74 @@
+// Rate-limited fetch for provider adapters - waits for a token and retries 429/5xx with backoff
+const { getBucket, sleep } = require('../lib/rateLimiter');
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(retry, baseMs) {
+    // Exponential with jitter so parallel keywords don't retry in lockstep
+    return baseMs * Math.pow(2, retry) + Math.floor(Math.random() * baseMs);
+}
+
+// sleep() that gives up as soon as the request is aborted
+function sleepUnlessAborted(ms, signal) {
+    if (!signal) return sleep(ms);
+    signal.throwIfAborted();
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// A call aborted because its keyword ran out of time - adapters pass it on rather than reporting a failed attempt
+function isAbortError(error) {
+    return !!error && (error.name === 'AbortError' || error.code === 'timeout');
+}
+
+// options.signal aborts the call, its rate limit wait and its retries alike
+function createProviderFetch(provider, { maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 60000 } = {}) {
+    const bucket = getBucket(provider);
+
+    return async function providerFetch(url, options) {
+        for (let retry = 0; ; retry++) {
+            const signal = options && options.signal;
+            await bucket.take();
+            if (signal) signal.throwIfAborted();
+            const response = await fetch(url, options);
+
+            if (!RETRYABLE_STATUS.includes(response.status) || retry >= maxRetries) {
+                return response;
+            }
+
+            const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+            const wait = Math.min(maxDelayMs, retryAfter !== null ? retryAfter : backoffDelay(retry, baseDelayMs));
+
+            await response.body?.cancel(); // Free the connection before waiting
+
+            if (response.status === 429) {
+                bucket.pause(wait);
+            }
+
+            console.log(`⏳ ${provider.name} returned ${response.status} - retrying in ${Math.round(wait / 1000)}s (${retry + 1}/${maxRetries})`);
+            await sleepUnlessAborted(wait, signal);
+        }
+    };
+}
+
+module.exports = { createProviderFetch, parseRetryAfter, isAbortError };
@@ -0,0 +1,186 @@
+// Provider Registry - discovers LLM provider adapters and resolves which ones are enabled
+//
+// An adapter is a plain object exported from a module in ./adapters:
+//   id           - platform key used in results (e.g. 'chatgpt')
+//   name         - display name (e.g. 'ChatGPT')
+//   vendor       - used in configuration errors (e.g. 'OpenAI')
+//   apiKeyEnv    - env var holding the API key (optional when apiKeyOptional is set)
+//   requiredEnv  - extra env vars that must be set before the adapter can run (optional)
+//   model        - default model name sent to the API (a scan's "models" can pick others - see scanTargets)
+//   maxAttempts  - prompt variations tried per keyword before giving up (prompts come from the scan's set in
+//                  config/prompt-templates.json - a list under the adapter's id replaces the set's default list)
+//   rateLimit    - { requestsPerMinute, burst } token bucket defaults (RATE_LIMIT_<ID> overrides the rate)
+//   keywordConcurrency - keywords queried in parallel (KEYWORD_CONCURRENCY overrides)
+//   query({ prompt, apiKey, model, attempt, request }) -> { content, citations, usage, modelVersion } | null (null = attempt failed, try the next one)
+//     network errors and bad responses are attempt failures too (null); only an aborted call (isAbortError) is rethrown
+//     citations are the sources the API grounded its answer on: [{ url, title }] or plain URL strings
+//     modelVersion is the exact model string the API says answered (e.g. "gpt-4o-2024-08-06"), when it reports one
+//     usage is the API's token report as { inputTokens, outputTokens } (priced via config/model-prices.json)
+//     grounded is true when the call used a search tool billed per request (groundedRequest in the price table)
+//     request is a fetch() wrapper that honors the provider's rate limit and retries 429s - use it instead of fetch
+//   requestParams(attempt) -> object of generation settings that change the answer (temperature, max tokens,
+//     system prompt...) - part of the response cache key, so changing one never serves a stale answer
+//
+// Enabling a new provider: drop a module into ./adapters and list its id in LLM_PROVIDERS.
+//
+// A scan runs each enabled adapter once with its default model, or once per model the scan picked for
+// it. Results are keyed by the adapter's key: its id ("chatgpt") for the default model, "id:model"
+// ("chatgpt:gpt-4o-mini") for a picked one.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROVIDERS = ['chatgpt', 'gemini', 'perplexity', 'claude'];
+const ADAPTERS_DIR = path.join(__dirname, 'adapters');
+const MAX_MODELS_PER_PROVIDER = 3;
+// API model names - "gpt-4o-mini", "models/gemini-2.5-pro", "llama3.1:8b"
+const MODEL_PATTERN = /^[\w.:/-]{1,100}$/;
+
+const registry = new Map();
+
+function registerProvider(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.query !== 'function') {
+        throw new Error('Provider adapters need an id and a query() function');
+    }
+
+    registry.set(adapter.id, {
+        maxAttempts: 3,
+        rateLimit: { requestsPerMinute: 60, burst: 5 },
+        keywordConcurrency: 3,
+        requiredEnv: [],
+        requestParams: () => ({}),
+        ...adapter,
+        key: adapter.id,
+        name: adapter.name || adapter.id,
+        vendor: adapter.vendor || adapter.name || adapter.id
+    });
+
+    return registry.get(adapter.id);
+}
+
+function loadProviders(dir = ADAPTERS_DIR) {
+    for (const file of fs.readdirSync(dir)) {
+        if (path.extname(file) !== '.js') continue;
+        registerProvider(require(path.join(dir, file)));
+    }
+    return listProviders();
+}
+
+function getProvider(id) {
+    return registry.get(id) || null;
+}
+
+function listProviders() {
+    return Array.from(registry.values());
+}
+
+// Comma separated LLM_PROVIDERS wins; otherwise the four original platforms
+function getEnabledProviders(env = process.env) {
+    const ids = env.LLM_PROVIDERS
+        ? env.LLM_PROVIDERS.split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_PROVIDERS;
+
+    return ids.map(id => {
+        const adapter = getProvider(id);
+        if (!adapter) console.warn(`⚠️  Unknown LLM provider "${id}" in LLM_PROVIDERS - skipping`);
+        return adapter;
+    }).filter(Boolean);
+}
+
+// The adapter set to another model - cache keys, prices and results follow the model
+function withModel(adapter, model) {
+    return { ...adapter, model, key: `${adapter.id}:${model}` };
+}
+
+// Adapter for a results key ("chatgpt" or "chatgpt:gpt-4o-mini"), null for unknown providers
+function resolveTarget(key) {
+    const separator = key.indexOf(':');
+    const adapter = getProvider(separator < 0 ? key : key.slice(0, separator));
+    if (!adapter) return null;
+    return separator < 0 ? adapter : withModel(adapter, key.slice(separator + 1));
+}
+
+// { chatgpt: 'gpt-4o-mini, gpt-4o' } or { chatgpt: ['gpt-4o-mini'] } -> { chatgpt: ['gpt-4o-mini', 'gpt-4o'] }
+function parseModels(value) {
+    const models = {};
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return models;
+
+    for (const [id, list] of Object.entries(value)) {
+        const names = typeof list === 'string' ? list.split(',') : (Array.isArray(list) ? list : []);
+        const unique = Array.from(new Set(names.map(name => String(name).trim()).filter(Boolean)));
+        if (unique.length > 0) models[id.trim().toLowerCase()] = unique;
+    }
+    return models;
+}
+
+// Errors for a parsed models matrix; providerIds are the providers the scan may use. isPriced(id, model)
+// says whether config/model-prices.json prices the model - unpriced calls cost $0, so the budget caps
+// can't see them and such models are refused
+function validateModels(models, providerIds, isPriced = null) {
+    const errors = [];
+    for (const [id, names] of Object.entries(models)) {
+        if (!providerIds.includes(id)) {
+            errors.push(`models.${id} is not an enabled provider (${providerIds.join(', ')})`);
+            continue;
+        }
+        if (names.length > MAX_MODELS_PER_PROVIDER) {
+            errors.push(`models.${id} must have at most ${MAX_MODELS_PER_PROVIDER} models`);
+        }
+        names.filter(name => !MODEL_PATTERN.test(name)).forEach(name => {
+            errors.push(`models.${id} has an invalid model name "${name}"`);
+        });
+        if (isPriced) {
+            names.filter(name => MODEL_PATTERN.test(name) && !isPriced(id, name)).forEach(name => {
+                errors.push(`models.${id} has no price for "${name}" in the model price table`);
+            });
+        }
+    }
+    return errors;
+}
+
+// What a scan queries: each adapter once, or once per model the scan picked for it
+function scanTargets(adapters, models = {}) {
+    return adapters.flatMap(adapter => models[adapter.id] && models[adapter.id].length > 0
+        ? models[adapter.id].map(model => withModel(adapter, model))
+        : [adapter]);
+}
+
+function getApiKey(adapter, env = process.env) {
+    return adapter.apiKeyEnv ? env[adapter.apiKeyEnv] : undefined;
+}
+
+function isConfigured(adapter, env = process.env) {
+    if (adapter.apiKeyEnv && !adapter.apiKeyOptional && !getApiKey(adapter, env)) return false;
+    return adapter.requiredEnv.every(name => !!env[name]);
+}
+
+// Throws the same "<Vendor> API key not configured" error the platform loop reports
+function assertConfigured(adapter, env = process.env) {
+    if (adapter.apiKeyEnv && !adapter.apiKeyOptional && !getApiKey(adapter, env)) {
+        throw new Error(`${adapter.vendor} API key not configured`);
+    }
+
+    const missing = adapter.requiredEnv.filter(name => !env[name]);
+    if (missing.length > 0) {
+        throw new Error(`${adapter.vendor} not configured: missing ${missing.join(', ')}`);
+    }
+}
+
+loadProviders();
+
+module.exports = {
+    DEFAULT_PROVIDERS,
+    MAX_MODELS_PER_PROVIDER,
+    registerProvider,
+    loadProviders,
+    getProvider,
+    listProviders,
+    getEnabledProviders,
+    withModel,
+    resolveTarget,
+    parseModels,
+    validateModels,
+    scanTargets,
+    getApiKey,
+    isConfigured,
+    assertConfigured
+};
@@ -0,0 +1,79 @@
+// Factory for providers that speak the OpenAI /chat/completions protocol
+// (OpenAI itself, Perplexity, Mistral, Grok, DeepSeek, local servers such as Ollama or LM Studio)
+const { isAbortError } = require('./http');
+
+function createOpenAICompatibleProvider(options) {
+    const {
+        baseUrl,
+        systemPrompt = null,
+        maxTokens = 1000,
+        temperature = 0.3,
+        extraBody = {},
+        ...adapter
+    } = options;
+
+    return {
+        ...adapter,
+
+        requestParams(attempt) {
+            return {
+                baseUrl: typeof baseUrl === 'function' ? baseUrl() : baseUrl,
+                systemPrompt,
+                maxTokens,
+                temperature: typeof temperature === 'function' ? temperature(attempt) : temperature,
+                extraBody
+            };
+        },
+
+        async query({ prompt, apiKey, model, attempt, request = fetch }) {
+            try {
+                const url = typeof baseUrl === 'function' ? baseUrl() : baseUrl;
+                const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+                messages.push({ role: 'user', content: prompt });
+
+                const headers = { 'Content-Type': 'application/json' };
+                if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+                const response = await request(`${url.replace(/\/$/, '')}/chat/completions`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model,
+                        messages,
+                        max_tokens: maxTokens,
+                        temperature: typeof temperature === 'function' ? temperature(attempt) : temperature,
+                        ...extraBody
+                    })
+                });
+
+                if (!response.ok) {
+                    console.log(`${adapter.name} API error on attempt ${attempt + 1}: ${response.status}`);
+                    return null;
+                }
+
+                const data = await response.json();
+                if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+                    console.log(`Invalid ${adapter.name} response on attempt ${attempt + 1}`);
+                    return null;
+                }
+
+                // Perplexity (and other search-backed APIs) list their sources next to the answer
+                return {
+                    content: data.choices[0].message.content,
+                    citations: data.search_results || data.citations || [],
+                    modelVersion: data.model || null,
+                    usage: data.usage ? {
+                        inputTokens: data.usage.prompt_tokens || 0,
+                        outputTokens: data.usage.completion_tokens || 0
+                    } : null
+                };
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                console.log(`${adapter.name} request failed on attempt ${attempt + 1}: ${error.message}`);
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = { createOpenAICompatibleProvider };
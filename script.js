@@ -49,14 +49,23 @@ class LLMVisibilityTool {
     this.resultsSection = document.getElementById('results-section');
     this.matrixRain = null;
     this.progressInterval = null;
+    this.jobEvents = null;
+    this.currentAnalysisId = null;
 
-    // Runs inside: https://lead-whisper.com/llm-visibility-checker/
-    // -> resolves to /llm-visibility-checker/api.php?endpoint=analyze
-    this.API_URL = 'api.php?endpoint=analyze';
+    // The Node server's form route by default (API-key clients use api/analyze). Other backends (window.LLM_VISIBILITY_API_URL, e.g. the PHP
+    // 'api.php?endpoint=analyze') must return results matching the same schema or they are rejected
+    this.API_URL = window.LLM_VISIBILITY_API_URL || 'api/form/analyze';
+    this.SCHEMA_URL = window.LLM_VISIBILITY_SCHEMA_URL || 'schema/analysis.schema.json';
+    this.schemaPromise = null;
+    this.PROMPT_SETS_URL = window.LLM_VISIBILITY_PROMPT_SETS_URL || 'api/prompt-sets';
+    // POSTs to the form routes carry a signed token - from the page, or fetched when embedded elsewhere
+    this.FORM_TOKEN_URL = window.LLM_VISIBILITY_FORM_TOKEN_URL || 'api/form/token';
+    this.formToken = document.querySelector('meta[name="form-token"]')?.content || null;
 
     // bind methods
     this.handleFormSubmit = this.handleFormSubmit.bind(this);
     this.analyzeVisibility = this.analyzeVisibility.bind(this);
+    this.updateMatrixProgress = this.updateMatrixProgress.bind(this);
     this.delay = this.delay.bind(this);
 
     this.init();
@@ -65,6 +74,8 @@ class LLMVisibilityTool {
   // ---------- lifecycle ----------
   init() {
     if (this.form) this.form.addEventListener('submit', this.handleFormSubmit);
+    this.loadSchema(); // prefetch so results aren't held up by it
+    this.loadPromptSets();
     this.initSmoothScrolling();
     this.initFormValidation();
   }
@@ -132,20 +143,45 @@ class LLMVisibilityTool {
       const apiResults = await this.analyzeVisibility(formData);
 
       if (apiResults) {
-        // REAL results path
+        // REAL results path - partial and failed platforms are shown as such
         const formatted = this.formatResults(apiResults);
         this.showResults(formatted);
       } else {
-        // Complete failure → fallback to mock (still logs to Sheets server-side)
-        this.showAlert('Analysis engine unavailable. Showing estimates.', 'error');
-        const mock = this.generateMockResults(formData);
-        this.showResults(mock);
+        // No usable results: say so instead of showing numbers we don't have
+        this.showAnalysisFailure();
       }
     } catch (error) {
       console.error('Unexpected error in handleFormSubmit:', error);
-      this.showAlert('Something went wrong. Showing estimates.', 'error');
-      const mock = this.generateMockResults(formData);
-      this.showResults(mock);
+      this.showAnalysisFailure();
+    }
+  }
+
+  showAnalysisFailure() {
+    if (this.progressInterval) clearInterval(this.progressInterval);
+    this.hideLoadingSection();
+    this.showAlert('We could not reach the AI engines right now, so there are no results to show. Please try again in a few minutes.', 'error');
+  }
+
+  // Re-runs only the platforms (or keywords) that failed in the saved analysis, then re-renders the merged results
+  async retryFailedPlatforms(button) {
+    if (!this.currentAnalysisId) return;
+    if (button) { button.disabled = true; button.textContent = 'Retrying...'; }
+
+    try {
+      const res = await this.postForm(`api/form/analyses/${encodeURIComponent(this.currentAnalysisId)}/retry`, {});
+      const data = await res.json();
+      if (!res.ok || !data.jobId) throw new Error(data.error || `HTTP ${res.status}`);
+
+      const results = await this.followJob(data);
+      const accepted = results ? await this.acceptResults(results) : null;
+      if (!accepted) throw new Error('Retry returned no usable results');
+
+      this.showResults(this.formatResults(accepted));
+      if (accepted.status === 'complete') this.showAlert('All platforms answered this time.', 'success');
+    } catch (err) {
+      console.warn('Retry failed:', err);
+      this.showAlert('Retry failed. Please try again in a few minutes.', 'error');
+      if (button) { button.disabled = false; button.textContent = 'Retry failed platforms'; }
     }
   }
 
@@ -165,6 +201,18 @@ class LLMVisibilityTool {
         .split(',')
         .map(k => k.trim())
         .filter(Boolean),
+      aliases: (document.getElementById('aliases')?.value || '')
+        .split(',')
+        .map(a => a.trim())
+        .filter(Boolean),
+      industry: document.getElementById('industry')?.value || undefined,
+      languages: document.getElementById('language')?.value ? [document.getElementById('language').value] : undefined,
+      samples: parseInt(document.getElementById('samples')?.value, 10) || undefined,
+      // "Austin, TX" has a comma of its own, so locations are separated by semicolons
+      locations: (document.getElementById('locations')?.value || '')
+        .split(';')
+        .map(l => l.trim())
+        .filter(Boolean),
       consent: !!document.getElementById('consent')?.checked
     };
   }
@@ -243,15 +291,109 @@ class LLMVisibilityTool {
     }, 1100);
   }
 
+  // Real progress from the Node job stream replaces the timer-driven animation
+  updateMatrixProgress(event) {
+    if (this.progressInterval) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
+    }
+
+    const progress = event.progress || {};
+    const matrixStatus = document.getElementById('matrix-status');
+    const currentPlatform = document.getElementById('current-platform');
+
+    Object.entries(progress.platforms || {}).forEach(([platform, state]) => {
+      const el = document.querySelector(`.step-item[data-platform="${platform}"]`);
+      const sp = el?.querySelectorAll('span')[1];
+      if (!el || !sp) return;
+      if (state.status === 'running') {
+        el.classList.add('active');
+        sp.textContent = '[ WORKING ]'; sp.className = 'text-yellow-400 animate-pulse';
+      } else if (state.status === 'completed' || state.status === 'failed') {
+        el.classList.remove('active'); el.classList.add('completed');
+        sp.textContent = state.status === 'failed' ? '[ FAILED ]' : '[ COMPLETE ]';
+        sp.className = state.status === 'failed'
+          ? 'text-black font-bold bg-red-400 px-2 py-1 rounded'
+          : 'text-black font-bold bg-green-400 px-2 py-1 rounded';
+      }
+    });
+
+    if (matrixStatus) {
+      matrixStatus.textContent =
+        event.status === 'queued' ? 'WAITING FOR A FREE SCANNER...' :
+        progress.stage === 'summarizing' ? 'COMPILING REPORT...' :
+        event.status === 'completed' ? 'DONE.' :
+        `QUERYING LLMs... ${progress.percent || 0}% (${progress.completed || 0}/${progress.total || 0})`;
+    }
+    if (currentPlatform && progress.platform) {
+      currentPlatform.textContent = `${progress.platform.toUpperCase()}${progress.keyword ? ` → "${progress.keyword}"` : ''}`;
+    }
+  }
+
+  // Follows a queued Node job over SSE (falls back to polling) and resolves with its results
+  followJob(job) {
+    return new Promise(resolve => {
+      const finish = finished => {
+        if (this.jobEvents) { this.jobEvents.close(); this.jobEvents = null; }
+        if (finished?.status === 'completed') return resolve(finished.result?.results || null);
+        console.warn('Analysis job failed:', finished?.error);
+        resolve(null);
+      };
+
+      const poll = async () => {
+        try {
+          const res = await fetch(job.statusUrl);
+          const data = await res.json();
+          if (!res.ok || !data.job) return finish(null);
+          this.updateMatrixProgress({ status: data.job.status, progress: data.job.progress });
+          if (data.job.status === 'completed' || data.job.status === 'failed') return finish(data.job);
+          setTimeout(poll, 2000);
+        } catch (err) {
+          console.warn('Job polling failed:', err);
+          finish(null);
+        }
+      };
+
+      if (!window.EventSource || !job.eventsUrl) return poll();
+
+      this.jobEvents = new EventSource(job.eventsUrl);
+      this.jobEvents.addEventListener('progress', e => this.updateMatrixProgress(JSON.parse(e.data)));
+      this.jobEvents.addEventListener('done', e => finish(JSON.parse(e.data)));
+      this.jobEvents.onerror = () => {
+        // Stream dropped (proxy, network) - keep going by polling
+        if (this.jobEvents) { this.jobEvents.close(); this.jobEvents = null; }
+        poll();
+      };
+    });
+  }
+
   // ---------- API: REAL backend + Sheets, with safe fallback ----------
+  async fetchFormToken() {
+    const res = await fetch(this.FORM_TOKEN_URL);
+    const data = await res.json();
+    if (!res.ok || !data.token) throw new Error(data.error || `HTTP ${res.status}`);
+    this.formToken = data.token;
+    return this.formToken;
+  }
+
+  // POST with the form token; a rejected (expired) token is replaced once and the request sent again
+  async postForm(url, { headers = {}, body } = {}) {
+    const send = async token => fetch(url, { method: 'POST', headers: { ...headers, 'X-Form-Token': token }, body });
+
+    const res = await send(this.formToken || await this.fetchFormToken());
+    if (res.status !== 403) return res;
+
+    const data = await res.clone().json().catch(() => ({}));
+    return data.code === 'form-token-invalid' ? send(await this.fetchFormToken()) : res;
+  }
+
   async analyzeVisibility(formData) {
     // Send as x-www-form-urlencoded to avoid strict WAFs
     const body = new URLSearchParams();
     body.set('payload', JSON.stringify(formData));
 
     try {
-      const res = await fetch(this.API_URL, {
-        method: 'POST',
+      const res = await this.postForm(this.API_URL, {
         headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
         body
       });
@@ -270,77 +412,98 @@ class LLMVisibilityTool {
         return null;
       }
 
-      // data.results is the REAL analysis when LLM calls succeed
-      return data.results || null;
+      // Node backend queues the analysis and hands back a job to follow
+      const results = data.jobId ? await this.followJob(data) : data.results;
+
+      // data.results is the REAL analysis when LLM calls succeed - and only if it matches the schema
+      return results ? await this.acceptResults(results) : null;
     } catch (err) {
       console.warn('analyzeVisibility failed:', err);
       return null;
     }
   }
 
-  // ---------- domain extraction helper (matches PHP backend) ----------
-  extractDomain(url) {
-    if (!url) return '';
-    let cleaned = url.replace(/^https?:\/\//, '').replace(/^www\./i, '');
-    return cleaned.split('/')[0];
+  // ---------- industry + language pickers: prompt template sets offered by the server ----------
+  async loadPromptSets() {
+    const industrySelect = document.getElementById('industry');
+    const languageSelect = document.getElementById('language');
+    if (!industrySelect && !languageSelect) return;
+
+    try {
+      const res = await fetch(this.PROMPT_SETS_URL);
+      const data = res.ok ? await res.json() : null;
+      if (!data || !Array.isArray(data.sets)) return;
+
+      if (industrySelect) {
+        industrySelect.innerHTML = data.sets.map(set =>
+          `<option value="${this.escapeHtml(set.id)}"${set.isDefault ? ' selected' : ''}>${this.escapeHtml(set.name)}</option>`
+        ).join('');
+      }
+      if (languageSelect && Array.isArray(data.languages)) {
+        this.languageNames = Object.fromEntries(data.languages.map(l => [l.code, l.nativeName]));
+        languageSelect.innerHTML = data.languages.map(l =>
+          `<option value="${this.escapeHtml(l.code)}"${l.isDefault ? ' selected' : ''}>${this.escapeHtml(l.nativeName)}</option>`
+        ).join('');
+      }
+    } catch (err) {
+      // Backends without prompt sets keep the static "General" / "English" options
+      console.warn('Prompt sets unavailable:', err);
+    }
   }
 
-  // ---------- result shaping (from REAL API) ----------
-  formatResults(apiResults) {
-    const platforms = Object.keys(apiResults.platformResults || {});
+  // ---------- schema check: only render payloads that match the versioned API contract ----------
+  loadSchema() {
+    if (!this.schemaPromise) {
+      this.schemaPromise = fetch(this.SCHEMA_URL)
+        .then(res => (res.ok ? res.json() : null))
+        .catch(() => null);
+    }
+    return this.schemaPromise;
+  }
 
-    // ----- REAL competitor mention extraction -----
-    const competitorSummary = {};
-    const competitors = apiResults.competitors || apiResults.user?.competitors || [];
-
-    // Initialize tracking buckets with NORMALIZED DOMAINS (matching backend)
-    competitors.forEach(url => {
-      const domain = this.extractDomain(url);
-      if (!domain) return;
-      competitorSummary[domain] = {
-        url,  // Keep original URL for display
-        domain,
-        totalMentions: 0,
-        perPlatform: {}
-      };
-    });
+  async acceptResults(results) {
+    const schema = await this.loadSchema();
+    if (!schema || !window.JsonSchema) {
+      console.warn('Analysis schema unavailable - results rejected');
+      return null;
+    }
 
-    // Traverse platform → keywords → competitorMentions
-    for (const [platformKey, platform] of Object.entries(apiResults.platformResults || {})) {
-      const keywordResults = platform.keywordResults || {};
-      for (const [kw, result] of Object.entries(keywordResults)) {
-        (result.competitorMentions || []).forEach(c => {
-          const domain = c.domain || this.extractDomain(c.url);
-          if (!domain || !competitorSummary[domain]) return;
-          if (c.mentioned) {
-            competitorSummary[domain].totalMentions++;
-            competitorSummary[domain].perPlatform[platformKey] =
-              (competitorSummary[domain].perPlatform[platformKey] || 0) + 1;
-          }
-        });
-      }
+    const major = version => String(version || '').split('.')[0];
+    if (major(results.schemaVersion) !== major(schema.version)) {
+      console.warn(`Analysis results use schema v${results.schemaVersion || '?'}, expected v${schema.version}`);
+      return null;
     }
 
-    // Calculate total possible mentions for proper scoring
-    const keywords = apiResults.keywords || [];
-    const totalKeywords = keywords.length || 1;
-    const totalPlatforms = platforms.length || 1;
-    const maxPossibleMentions = totalKeywords * totalPlatforms;
+    const errors = window.JsonSchema.validate(schema, 'analysisResults', results, 'results');
+    if (errors.length) {
+      console.warn(`Analysis results do not match schema v${schema.version}:`, errors);
+      return null;
+    }
+    return results;
+  }
 
-    // Convert into frontend-friendly structure with proper percentage scoring
-    const competitorComparison = Object.values(competitorSummary).map(c => ({
+  // ---------- result shaping (from REAL API) ----------
+  formatResults(apiResults) {
+    // Saved analysis to retry against
+    this.currentAnalysisId = apiResults.analysisId || null;
+    const platforms = Object.keys(apiResults.platformResults || {});
+
+    // Share of voice comes from the backend's rank-weighted model, so the report and the API agree
+    const shareOfVoice = apiResults.summary?.shareOfVoice || null;
+    const competitorComparison = (apiResults.summary?.competitorAnalysis || []).map(c => ({
       url: c.url,
-      name: c.url.replace(/^https?:\/\//, ''),
-      mentions: c.totalMentions,
-      platforms: Object.keys(c.perPlatform),
-      // Score as percentage: (actual mentions / max possible mentions) * 100
-      score: maxPossibleMentions > 0
-        ? Math.round((c.totalMentions / maxPossibleMentions) * 100)
-        : 0
+      name: c.name || c.domain,
+      mentions: c.mentions,
+      platforms: c.platforms || [],
+      score: c.shareOfVoice
     }));
 
     // ----- RETURN OBJECT -----
     return {
+      status: apiResults.status,
+      canRetry: !!apiResults.analysisId && Object.values(apiResults.platformResults || {}).some(p =>
+        (p.status === 'failed' && p.retryable) || (p.status === 'partial' && p.failedKeywords?.length)
+      ),
       user: apiResults.user || {
         name: '',
         website: apiResults.website || '',
@@ -349,33 +512,53 @@ class LLMVisibilityTool {
       summary: {
         overallScore: apiResults.summary?.overallScore ?? 0,
         totalMentions: apiResults.summary?.totalMentions ?? 0,
-        // NEW: competitorAverage based on *real* competitorComparison[]
-        competitorAverage:
-          competitorComparison.length
-            ? Math.round(
-                competitorComparison.reduce(
-                  (sum, c) => sum + (c.score || 0),
-                  0
-                ) / competitorComparison.length
-              )
-            : 0
+        shareOfVoice: shareOfVoice?.client.overall ?? 0,
+        otherShareOfVoice: shareOfVoice?.others.overall ?? 0,
+        competitorAverage: shareOfVoice?.competitorAverage ?? 0
       },
 
       platformResults: platforms.map(platformKey => {
         const result = apiResults.platformResults[platformKey] || {};
-        const prettyName = platformKey.charAt(0).toUpperCase() + platformKey.slice(1);
         return {
-          name: prettyName,
+          name: this.platformLabel(platformKey),
+          modelVersions: result.modelVersions || [],
+          status: result.status,
+          error: result.error || null,
+          errorType: result.errorType || null,
+          retryable: !!result.retryable,
+          failedKeywords: result.failedKeywords || [],
           score: Math.round((result.score || 0) * 100) / 100,
           mentions: result.mentions || 0,
           ranking: result.ranking || null,
-          topKeywords: Object.keys(result.keywordResults || {}).slice(0, 3)
+          topKeywords: Object.keys(result.keywordResults || {}).slice(0, 3),
+          sentiment: result.sentiment || null,
+          shareOfVoice: shareOfVoice?.client.byPlatform[platformKey] ?? null,
+          sampling: apiResults.sampling?.mode === 'sampling' ? this.formatSampling(result) : null
         };
       }),
 
       // REAL COMPETITOR DATA
       competitorComparison,
 
+      // Location and multi-language scans: the same numbers per city / region and per language
+      locations: this.formatBreakdown(apiResults.summary?.byLocation),
+      languages: this.formatBreakdown(apiResults.summary?.byLanguage, code => this.languageNames?.[code] || code),
+      // Scans comparing models: fast versus flagship models
+      tiers: this.formatBreakdown(apiResults.summary?.byTier, tier => tier.charAt(0).toUpperCase() + tier.slice(1)),
+
+      // Businesses the AI engines recommend that the user didn't list
+      discoveredCompetitors: apiResults.summary?.discoveredCompetitors?.suggestions || [],
+
+      // Sources Perplexity / Gemini grounded their answers on
+      citations: apiResults.summary?.citations || null,
+      citationsByPlatform: platforms
+        .filter(platformKey => apiResults.platformResults[platformKey]?.citations?.totalCitations)
+        .map(platformKey => ({
+          name: this.platformLabel(platformKey),
+          clientCited: apiResults.platformResults[platformKey].citations.clientCited,
+          responses: apiResults.platformResults[platformKey].citations.responsesWithCitations
+        })),
+
       recommendations: [
         "Optimize your website content for AI-friendly formats",
         "Create more authoritative content in your industry",
@@ -386,41 +569,51 @@ class LLMVisibilityTool {
     };
   }
 
-  // ---------- pure mock generator (only if API fully fails) ----------
-  generateMockResults(formData) {
-    const platforms = ['ChatGPT', 'Gemini', 'Perplexity', 'Claude'];
-    const keywords = formData.keywords || [];
-    const isGB =
-      formData.website?.toLowerCase().includes('greenbanana') ||
-      formData.company?.toLowerCase().includes('greenbanana');
-
-    const userRange = isGB ? [75, 95] : [60, 85];
-    const compRange = [35, 75];
-    const r = (min, max) => Math.floor(Math.random() * (max - min)) + min;
+  // "chatgpt" -> "Chatgpt", "chatgpt:gpt-4o-mini" (a model the scan picked) -> "Chatgpt · gpt-4o-mini"
+  platformLabel(key) {
+    const [id, ...model] = key.split(':');
+    const name = id.charAt(0).toUpperCase() + id.slice(1);
+    return model.length ? `${name} · ${model.join(':')}` : name;
+  }
 
+  // Sampling mode: mention probability per platform and per keyword, with its 95% interval
+  formatSampling(result) {
+    if (!result.sampling) return null;
+    const percent = value => Math.round(value * 100);
     return {
-      user: { name: formData.fullName, website: formData.website, company: formData.company },
-      summary: {
-        overallScore: r(userRange[0], userRange[1]),
-        totalMentions: r(15, 40),
-        competitorAverage: r(45, 75)
-      },
-      platformResults: platforms.map(name => ({
-        name, score: r(userRange[0], userRange[1]), mentions: r(3, 15), ranking: r(1, 3), topKeywords: keywords.slice(0, 3)
-      })),
-      competitorComparison: (formData.competitors || []).map((url, i) => ({
-        name: `Competitor ${i + 1}`, url, score: r(compRange[0], compRange[1]), mentions: r(5, 20)
-      })),
-      recommendations: [
-        'Optimize your website content for AI-friendly formats',
-        'Create more authoritative content in your industry',
-        'Build stronger backlink profiles from reputable sources',
-        'Improve your online reviews and testimonials',
-        'Develop thought leadership content and case studies'
-      ]
+      probability: percent(result.sampling.mentionProbability),
+      samples: result.sampling.samples,
+      unreliable: result.sampling.unreliableKeywords.length,
+      ranks: Object.entries(result.sampling.rankDistribution || {}).map(([rank, count]) => ({ rank, count })),
+      keywords: Object.entries(result.keywordResults || {})
+        .filter(([, r]) => r.sampling)
+        .map(([keyword, r]) => ({
+          keyword,
+          probability: percent(r.sampling.mentionProbability),
+          low: percent(r.sampling.interval[0]),
+          high: percent(r.sampling.interval[1]),
+          samples: r.sampling.samples,
+          medianRank: r.sampling.rank?.median ?? null,
+          reliable: r.sampling.reliable
+        }))
     };
   }
 
+  formatBreakdown(breakdown, label = name => name) {
+    return Object.entries(breakdown || {}).map(([name, row]) => ({
+      name: label(name),
+      overallScore: row.overallScore,
+      totalMentions: row.totalMentions,
+      averageRanking: row.averageRanking,
+      shareOfVoice: row.shareOfVoice,
+      platforms: Object.entries(row.platforms || {}).map(([key, p]) => ({
+        name: this.platformLabel(key),
+        score: Math.round((p.score || 0) * 100) / 100,
+        mentions: p.mentions
+      }))
+    }));
+  }
+
   // ---------- show + render ----------
   showResults(results) {
     this.lastResults = results;
@@ -434,7 +627,17 @@ class LLMVisibilityTool {
   populateResults(results) {
     const el = document.getElementById('results-content');
     if (!el) return;
+
+    // Nothing answered: only the per-platform errors, no summary numbers
+    if (results.status === 'failed') {
+      el.innerHTML = `${this.renderAnalysisStatus(results)}${this.renderPlatformBreakdown(results)}`;
+      this.bindResultActions(el);
+      return;
+    }
+
     el.innerHTML = `
+      ${this.renderAnalysisStatus(results)}
+
       <!-- Summary Cards -->
       <div class="grid md:grid-cols-3 gap-6 mb-12">
         <div class="stat bg-base-200 rounded-box">
@@ -453,32 +656,19 @@ class LLMVisibilityTool {
           <div class="stat-figure text-accent"><i class="fas fa-users text-3xl"></i></div>
           <div class="stat-title">vs Competitors</div>
           <div class="stat-value text-accent">${results.summary.competitorAverage}%</div>
-          <div class="stat-desc">Their average score</div>
+          <div class="stat-desc">Their average share of voice</div>
         </div>
       </div>
 
-      <!-- Platform Breakdown -->
-      <div class="card bg-base-100 shadow-xl mb-8">
-        <div class="card-body">
-          <h3 class="card-title text-2xl mb-6">
-            <i class="fas fa-robot text-primary"></i> Platform Breakdown
-          </h3>
-          <div class="grid md:grid-cols-2 gap-6">
-            ${results.platformResults.map(p => `
-              <div class="flex items-center justify-between p-4 bg-base-200 rounded-lg">
-                <div>
-                  <h4 class="font-semibold text-lg">${p.name}</h4>
-                  <p class="text-sm text-base-content/70">${p.mentions} mentions found</p>
-                </div>
-                <div class="text-right">
-                  <div class="text-2xl font-bold ${p.score > 50 ? 'text-success' : p.score > 30 ? 'text-warning' : 'text-error'}">${p.score}%</div>
-                  ${p.mentions > 0 && p.ranking ? `<div class="text-sm">Rank #${p.ranking}</div>` : ''}
-                </div>
-              </div>
-            `).join('')}
-          </div>
-        </div>
-      </div>
+      ${this.renderPlatformBreakdown(results)}
+
+      ${this.renderTranscriptsCard()}
+
+      ${this.renderBreakdown(results.locations, 'Visibility by Location', 'fa-map-marker-alt', 'Location')}
+
+      ${this.renderBreakdown(results.languages, 'Visibility by Language', 'fa-language', 'Language')}
+
+      ${this.renderBreakdown(results.tiers, 'Visibility by Model Tier', 'fa-layer-group', 'Tier')}
 
       <!-- Competitor Comparison -->
       <div class="card bg-base-100 shadow-xl mb-8">
@@ -489,7 +679,7 @@ class LLMVisibilityTool {
           <div class="overflow-x-auto">
             <table class="table table-zebra">
               <thead>
-                <tr><th>Business</th><th>AI Visibility Score</th><th>Total Mentions</th><th>Performance</th></tr>
+                <tr><th>Business</th><th>Share of Voice</th><th>Total Mentions</th><th>Performance</th></tr>
               </thead>
               <tbody>
                 <!-- Your Business -->
@@ -497,29 +687,17 @@ class LLMVisibilityTool {
                   <td><strong>Your Business</strong><br>
                     <small class="text-base-content/70">${results.user.website || ''}</small>
                   </td>
-                  <td><span class="badge badge-primary badge-lg">${results.summary.overallScore}%</span></td>
+                  <td><span class="badge badge-primary badge-lg">${results.summary.shareOfVoice ?? 0}%</span></td>
                   <td>${results.summary.totalMentions}</td>
-                  <td>
-                    <div class="badge ${
-                      results.summary.overallScore >= 80 ? 'badge-success' :
-                      results.summary.overallScore >= 60 ? 'badge-info' :
-                      results.summary.overallScore >= 40 ? 'badge-warning' : 'badge-error'
-                    }">
-                      ${
-                        results.summary.overallScore >= 80 ? 'Excellent' :
-                        results.summary.overallScore >= 60 ? 'Strong' :
-                        results.summary.overallScore >= 40 ? 'Moderate' : 'Weak'
-                      }
-                    </div>
-                  </td>
+                  <td>${this.renderShareOfVoiceBadge(results.summary.shareOfVoice ?? 0)}</td>
                 </tr>
 
                 <!-- REAL COMPETITORS -->
                 ${results.competitorComparison.map(comp => `
                   <tr>
                     <td>
-                      ${comp.name}<br>
-                      <small class="text-base-content/70">${comp.url}</small>
+                      ${this.escapeHtml(comp.name)}<br>
+                      <small class="text-base-content/70">${this.escapeHtml(comp.url)}</small>
                     </td>
 
                     <td>
@@ -528,27 +706,29 @@ class LLMVisibilityTool {
 
                     <td>${comp.mentions}</td>
 
-                    <td>
-                      <div class="badge ${
-                        comp.score >= 80 ? 'badge-success' :
-                        comp.score >= 60 ? 'badge-info' :
-                        comp.score >= 40 ? 'badge-warning' : 'badge-error'
-                      }">
-                        ${
-                          comp.score >= 80 ? 'Excellent' :
-                          comp.score >= 60 ? 'Strong' :
-                          comp.score >= 40 ? 'Moderate' : 'Weak'
-                        }
-                      </div>
-                    </td>
+                    <td>${this.renderShareOfVoiceBadge(comp.score)}</td>
                   </tr>
                 `).join('')}
+
+                <!-- Every other business the AI engines recommended -->
+                ${results.summary.otherShareOfVoice ? `
+                  <tr>
+                    <td><em>Other businesses</em></td>
+                    <td><span class="badge badge-ghost badge-lg">${results.summary.otherShareOfVoice}%</span></td>
+                    <td>-</td>
+                    <td></td>
+                  </tr>
+                ` : ''}
               </tbody>
             </table>
           </div>
         </div>
       </div>
 
+      ${this.renderDiscoveredCompetitors(results)}
+
+      ${this.renderCitations(results)}
+
       <!-- Recommendations -->
       <div class="card bg-base-100 shadow-xl mb-8">
         <div class="card-body">
@@ -568,6 +748,326 @@ class LLMVisibilityTool {
         </div>
       </div>
     `;
+    this.bindResultActions(el);
+  }
+
+  bindResultActions(el) {
+    el.querySelector('[data-action="retry-failed"]')
+      ?.addEventListener('click', e => this.retryFailedPlatforms(e.currentTarget));
+    el.querySelector('[data-action="show-transcripts"]')
+      ?.addEventListener('click', e => this.showTranscripts(e.currentTarget));
+  }
+
+  // ---------- transcripts: the prompts and answers behind the scores ----------
+  renderTranscriptsCard() {
+    if (!this.currentAnalysisId) return '';
+    return `
+      <div class="card bg-base-100 shadow-xl mb-8">
+        <div class="card-body">
+          <div class="flex items-center justify-between">
+            <h3 class="card-title text-2xl">
+              <i class="fas fa-comments text-primary"></i> What the AI Said
+            </h3>
+            <button type="button" class="btn btn-sm btn-outline" data-action="show-transcripts">Show answers</button>
+          </div>
+          <div id="transcripts" class="mt-4"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  async showTranscripts(button) {
+    const container = document.getElementById('transcripts');
+    if (!container || !this.currentAnalysisId) return;
+    if (button) { button.disabled = true; button.textContent = 'Loading...'; }
+
+    try {
+      const res = await fetch(`api/form/analyses/${encodeURIComponent(this.currentAnalysisId)}/transcripts`);
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.error || `HTTP ${res.status}`);
+      container.innerHTML = this.renderTranscripts(data.transcripts);
+      button?.remove();
+    } catch (err) {
+      console.warn('Transcripts failed:', err);
+      this.showAlert('Could not load the AI answers. Please try again.', 'error');
+      if (button) { button.disabled = false; button.textContent = 'Show answers'; }
+    }
+  }
+
+  renderTranscripts(transcripts) {
+    if (!transcripts.length) return '<p class="text-sm text-base-content/70">No answers were saved for this analysis.</p>';
+    return `
+      <p class="text-sm mb-3">
+        <mark class="bg-success/30 px-1 rounded">your business</mark>
+        <mark class="bg-warning/40 px-1 rounded ml-2">competitors</mark>
+      </p>
+      <div class="space-y-2">
+        ${transcripts.map(t => `
+          <details class="collapse collapse-arrow bg-base-200">
+            <summary class="collapse-title text-sm font-medium">
+              ${this.escapeHtml(this.platformLabel(t.platform))} · ${this.escapeHtml(t.query)}
+              <span class="text-base-content/60">(prompt ${t.attempt + 1}${t.sample ? `, sample ${t.sample + 1}` : ''})</span>
+              ${t.mentioned ? `<span class="badge badge-success badge-sm ml-2">Mentioned${t.position ? ` #${t.position}` : ''}</span>` : '<span class="badge badge-ghost badge-sm ml-2">Not mentioned</span>'}
+            </summary>
+            <div class="collapse-content text-sm">
+              <p class="italic text-base-content/70 mb-2">${this.escapeHtml(t.prompt)}</p>
+              <div class="whitespace-pre-wrap">${this.highlightTranscript(t.response, t.highlights)}</div>
+              ${t.modelVersion ? `<p class="text-xs text-base-content/60 mt-2">${this.escapeHtml(t.modelVersion)}${t.cached ? ' · cached answer' : ''}</p>` : ''}
+            </div>
+          </details>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Escaped answer text with the matched client / competitor names wrapped in <mark>
+  highlightTranscript(text, highlights = []) {
+    let html = '';
+    let cursor = 0;
+    highlights.forEach(h => {
+      if (h.start < cursor) return;
+      html += this.escapeHtml(text.slice(cursor, h.start));
+      const color = h.owner === 'client' ? 'bg-success/30' : 'bg-warning/40';
+      html += `<mark class="${color} px-0.5 rounded" title="${this.escapeHtml(h.domain || h.owner)}">${this.escapeHtml(text.slice(h.start, h.end))}</mark>`;
+      cursor = h.end;
+    });
+    return html + this.escapeHtml(text.slice(cursor));
+  }
+
+  // Banner for partial or failed analyses: which platforms are missing and why, with a retry for just those
+  renderAnalysisStatus(results) {
+    if (!results.status || results.status === 'complete') return '';
+    const failed = results.platformResults.filter(p => p.status === 'failed');
+    const partial = results.platformResults.filter(p => p.status === 'partial');
+    const answered = results.platformResults.length - failed.length;
+    return `
+      <div class="alert ${results.status === 'failed' ? 'alert-error' : 'alert-warning'} mb-8">
+        <i class="fas fa-exclamation-triangle"></i>
+        <div>
+          <h4 class="font-bold">${results.status === 'failed'
+            ? 'No AI platform answered this time'
+            : `Partial results: ${answered} of ${results.platformResults.length} platforms answered`}</h4>
+          <p class="text-sm">
+            ${failed.length ? `Missing: ${failed.map(p => this.escapeHtml(p.name)).join(', ')}. ` : ''}
+            ${partial.length ? `Some keywords failed on ${partial.map(p => this.escapeHtml(p.name)).join(', ')}. ` : ''}
+            Scores below only count the answers we actually received.
+          </p>
+        </div>
+        ${results.canRetry ? '<button type="button" class="btn btn-sm" data-action="retry-failed">Retry failed platforms</button>' : ''}
+      </div>
+    `;
+  }
+
+  renderPlatformBreakdown(results) {
+    return `
+      <!-- Platform Breakdown -->
+      <div class="card bg-base-100 shadow-xl mb-8">
+        <div class="card-body">
+          <h3 class="card-title text-2xl mb-6">
+            <i class="fas fa-robot text-primary"></i> Platform Breakdown
+          </h3>
+          <div class="grid md:grid-cols-2 gap-6">
+            ${results.platformResults.map(p => p.status === 'failed' ? this.renderFailedPlatform(p) : `
+              <div class="p-4 bg-base-200 rounded-lg">
+                <div class="flex items-center justify-between">
+                  <div>
+                    <h4 class="font-semibold text-lg">${this.escapeHtml(p.name)}</h4>
+                    ${p.modelVersions.length ? `<p class="text-xs text-base-content/60">${p.modelVersions.map(v => this.escapeHtml(v)).join(', ')}</p>` : ''}
+                    <p class="text-sm text-base-content/70">${p.mentions} mentions found</p>
+                    ${p.shareOfVoice !== null && p.shareOfVoice !== undefined ? `<p class="text-sm text-base-content/70">${p.shareOfVoice}% share of voice</p>` : ''}
+                  </div>
+                  <div class="text-right">
+                    <div class="text-2xl font-bold ${p.score > 50 ? 'text-success' : p.score > 30 ? 'text-warning' : 'text-error'}">${p.score}%</div>
+                    ${p.mentions > 0 && p.ranking ? `<div class="text-sm">Rank #${p.ranking}</div>` : ''}
+                  </div>
+                </div>
+                ${p.failedKeywords.length ? `<p class="text-sm text-warning mt-2">No answer for: ${p.failedKeywords.map(k => this.escapeHtml(k)).join(', ')}</p>` : ''}
+                ${this.renderSentiment(p.sentiment)}
+                ${this.renderSampling(p.sampling)}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderSampling(sampling) {
+    if (!sampling) return '';
+    return `
+      <div class="mt-3 text-sm">
+        <p class="font-semibold">Mentioned in ${sampling.probability}% of ${sampling.samples} answers</p>
+        ${sampling.ranks.length ? `<p class="text-base-content/70">Ranks: ${sampling.ranks.map(r => `#${r.rank} × ${r.count}`).join(' · ')}</p>` : ''}
+        ${sampling.unreliable ? `<p class="text-warning"><i class="fas fa-exclamation-triangle"></i> ${sampling.unreliable} keyword${sampling.unreliable === 1 ? '' : 's'} with too few answers to trust</p>` : ''}
+        <ul class="mt-1 space-y-1">
+          ${sampling.keywords.map(k => `
+            <li class="${k.reliable ? '' : 'text-warning'}">
+              ${this.escapeHtml(k.keyword)}: ${k.probability}% <span class="text-base-content/60">(${k.low}–${k.high}%, n=${k.samples}${k.medianRank ? `, median rank #${k.medianRank}` : ''})</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  // Per-location / per-language table
+  renderBreakdown(rows, title, icon, label) {
+    if (!rows?.length) return '';
+    return `
+      <div class="card bg-base-100 shadow-xl mb-8">
+        <div class="card-body">
+          <h3 class="card-title text-2xl mb-6">
+            <i class="fas ${icon} text-primary"></i> ${title}
+          </h3>
+          <div class="overflow-x-auto">
+            <table class="table table-zebra">
+              <thead>
+                <tr><th>${label}</th><th>Visibility</th><th>Mentions</th><th>Avg. Rank</th><th>Share of Voice</th><th>By Platform</th></tr>
+              </thead>
+              <tbody>
+                ${rows.map(loc => `
+                  <tr>
+                    <td><strong>${this.escapeHtml(loc.name)}</strong></td>
+                    <td><span class="font-bold ${loc.overallScore > 50 ? 'text-success' : loc.overallScore > 30 ? 'text-warning' : 'text-error'}">${loc.overallScore}%</span></td>
+                    <td>${loc.totalMentions}</td>
+                    <td>${loc.averageRanking ? `#${loc.averageRanking}` : '-'}</td>
+                    <td>${loc.shareOfVoice}% ${this.renderShareOfVoiceBadge(loc.shareOfVoice)}</td>
+                    <td class="text-sm">${loc.platforms.map(p => `${this.escapeHtml(p.name)} ${p.score}%`).join(' · ') || '-'}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderFailedPlatform(p) {
+    const reason = {
+      timeout: 'Timed out before answering',
+      'not-configured': 'Not available for this scan',
+      'no-response': 'Returned no usable answers'
+    }[p.errorType] || 'Request failed';
+    return `
+      <div class="p-4 bg-base-200 rounded-lg border border-error/40">
+        <div class="flex items-center justify-between">
+          <div>
+            <h4 class="font-semibold text-lg">${p.name}</h4>
+            <p class="text-sm text-error">${reason}</p>
+          </div>
+          <div class="badge badge-error badge-outline">No data</div>
+        </div>
+        ${p.retryable ? '<p class="text-sm text-base-content/70 mt-2">This platform can be retried without re-running the others.</p>' : ''}
+      </div>
+    `;
+  }
+
+  // How each platform talks about the business, with the sentence that shows it
+  renderSentiment(sentiment) {
+    if (!sentiment || !(sentiment.positive + sentiment.neutral + sentiment.negative)) return '';
+    const quote = (sentiment.evidence || []).find(e => e.sentiment === 'negative') || (sentiment.evidence || [])[0];
+    return `
+      <div class="mt-3 text-sm">
+        <span class="badge badge-success badge-sm">${sentiment.positive} positive</span>
+        <span class="badge badge-ghost badge-sm">${sentiment.neutral} neutral</span>
+        <span class="badge badge-error badge-sm">${sentiment.negative} negative</span>
+        ${quote ? `<p class="mt-1 italic text-base-content/70">"${this.escapeHtml(quote.evidence)}" <span class="not-italic">(${this.escapeHtml(quote.keyword)})</span></p>` : ''}
+      </div>
+    `;
+  }
+
+  // Share of voice is split between every recommended business, so the bands sit lower than a 0-100 score
+  renderShareOfVoiceBadge(share) {
+    const [badge, label] =
+      share >= 40 ? ['badge-success', 'Leading'] :
+      share >= 25 ? ['badge-info', 'Strong'] :
+      share >= 10 ? ['badge-warning', 'Moderate'] : ['badge-error', 'Weak'];
+    return `<div class="badge ${badge}">${label}</div>`;
+  }
+
+  renderDiscoveredCompetitors(results) {
+    const suggestions = results.discoveredCompetitors || [];
+    if (!suggestions.length) return '';
+    return `
+      <!-- Discovered Competitors -->
+      <div class="card bg-base-100 shadow-xl mb-8">
+        <div class="card-body">
+          <h3 class="card-title text-2xl mb-2">
+            <i class="fas fa-search text-warning"></i> Competitors You Didn't List
+          </h3>
+          <p class="text-base-content/70 mb-6">Businesses the AI engines recommended for your keywords, ranked by share of voice</p>
+          <div class="overflow-x-auto">
+            <table class="table table-zebra">
+              <thead><tr><th>Business</th><th>Share of Voice</th><th>Avg. Rank</th><th>Platforms</th></tr></thead>
+              <tbody>
+                ${suggestions.map(c => `
+                  <tr>
+                    <td>${this.escapeHtml(c.name)}${c.domain ? `<br><small class="text-base-content/70">${this.escapeHtml(c.domain)}</small>` : ''}</td>
+                    <td><span class="badge badge-outline badge-lg">${c.shareOfVoice}%</span></td>
+                    <td>${c.avgRank ? `#${c.avgRank}` : '—'}</td>
+                    <td>${c.platforms.map(p => this.escapeHtml(p)).join(', ')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Which sites the AI engines cite: the client's own, competitors', and the third-party pages driving answers
+  renderCitations(results) {
+    const c = results.citations;
+    if (!c || !c.totalCitations) return '';
+    const competitorRows = Object.entries(c.competitors || {});
+    return `
+      <!-- Cited Sources -->
+      <div class="card bg-base-100 shadow-xl mb-8">
+        <div class="card-body">
+          <h3 class="card-title text-2xl mb-6">
+            <i class="fas fa-link text-info"></i> Sources AI Engines Cite
+          </h3>
+          <div class="grid md:grid-cols-2 gap-6 mb-6">
+            <div class="p-4 bg-base-200 rounded-lg">
+              <h4 class="font-semibold mb-2">Your website</h4>
+              ${c.clientCited
+                ? `<p class="text-success">Cited in ${c.clientCited} of ${c.responsesWithCitations} sourced answers</p>`
+                : `<p class="text-error">Not cited in any of ${c.responsesWithCitations} sourced answers</p>`}
+              ${(results.citationsByPlatform || []).map(p => `
+                <div class="text-sm text-base-content/70">${p.name}: ${p.clientCited}/${p.responses}</div>
+              `).join('')}
+            </div>
+            <div class="p-4 bg-base-200 rounded-lg">
+              <h4 class="font-semibold mb-2">Competitor websites</h4>
+              ${competitorRows.length
+                ? competitorRows.map(([domain, count]) => `<div class="text-sm">${this.escapeHtml(domain)}: cited ${count}×</div>`).join('')
+                : '<p class="text-sm text-base-content/70">No competitor sites cited</p>'}
+            </div>
+          </div>
+          ${c.topSources.length ? `
+          <div class="overflow-x-auto">
+            <table class="table table-zebra">
+              <thead><tr><th>Third-party source</th><th>Type</th><th>Citations</th></tr></thead>
+              <tbody>
+                ${c.topSources.map(src => `
+                  <tr>
+                    <td><a class="link" href="${this.escapeHtml(src.urls[0] || '#')}" target="_blank" rel="noopener">${this.escapeHtml(src.domain)}</a></td>
+                    <td><span class="badge badge-outline">${this.escapeHtml(src.category)}</span></td>
+                    <td>${src.count}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
   }
 
   showAlert(message, type = 'info') {
@@ -3,13 +3,49 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
-const fs = require('fs').promises;
+const { existsSync, promises: fs } = require('fs');
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 require('dotenv').config();
+const providers = require('./providers');
+const HistoryStore = require('./lib/historyStore');
+const AnalysisStore = require('./lib/analysisStore');
+const TranscriptStore = require('./lib/transcriptStore');
+const LeadStore = require('./lib/leadStore');
+const { ApiKeyStore, normalizeKeyInput } = require('./lib/apiKeyStore');
+const { DATA_DIR, LEGACY_DATA_DIR } = require('./lib/fileStore');
+const { parseLeadFilters, joinAnalyses, filterLeads, paginate, leadsCsv } = require('./lib/leadReport');
+const ResponseCache = require('./lib/responseCache');
+const { PromptLibrary } = require('./lib/promptTemplates');
+const { MAX_LOCATIONS, MAX_LANGUAGES, MAX_QUERIES, parseLocations, parseLanguages, scanQueries } = require('./lib/locations');
+const { MAX_SAMPLES, MAX_SAMPLED_QUERIES, summarizeSamples, pickRepresentative, poolSamples } = require('./lib/sampling');
+const UsageStore = require('./lib/usageStore');
+const { loadPriceTable, findPrice, emptyUsage, callUsage, addUsage, createLedger, recordCall } = require('./lib/costs');
+const { ProjectStore, normalizeProjectInput, scanSizeErrors } = require('./lib/projectStore');
+const Scheduler = require('./lib/scheduler');
+const JobQueue = require('./lib/jobQueue');
+const { extractDomain } = require('./lib/urls');
+const { createBrandMatcher } = require('./lib/brandMatcher');
+const { parseRankedList, findRank } = require('./lib/rankedListParser');
+const { classifyBrand, hasLexicon, SENTIMENT_WEIGHTS } = require('./lib/sentiment');
+const { normalizeCitations, classifyCitations, summarizeCitations } = require('./lib/citations');
+const { observationsFromResults, discoverCompetitors, discoverByKeyword } = require('./lib/competitorDiscovery');
+const { calculateShareOfVoice } = require('./lib/shareOfVoice');
+const { schema: apiSchema, SCHEMA_VERSION, validatePayload, assertValid } = require('./lib/apiSchema');
+const { mapWithConcurrency, WindowLimiter } = require('./lib/rateLimiter');
+const { createFormToken, verifyFormToken } = require('./lib/formToken');
+const { createProviderFetch } = require('./providers/http');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY (hop count, "true" or proxy addresses) makes req.ip the client's
+// address - the form's rate limits and tokens are keyed on it
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
+
 // Middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -23,9 +59,20 @@ app.use(helmet({
         }
     }
 }));
-app.use(cors());
+// Only the public form's routes (/api/form/*) answer browsers on other origins, and only those in
+// ALLOWED_ORIGINS (pages embedding the form); API-key clients call from servers and scripts
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(origin => origin.length > 0);
+app.use('/api/form', cors({ origin: allowedOrigins }));
 app.use(express.json({ limit: '10mb' }));
-app.use(express.static('.'));
+app.use(express.urlencoded({ extended: false, limit: '10mb' }));
+
+// Only the pages and their assets are public - never the data directory, config, server code or leads.json
+const PUBLIC_FILES = ['admin.html', 'script.js', 'admin.js', 'greenbanana-logo.png', 'lib/jsonSchema.js'];
+PUBLIC_FILES.forEach(file => app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file))));
+app.use('/schema', express.static(path.join(__dirname, 'schema')));
 
 // Email Configuration
 const emailConfig = {
@@ -128,833 +175,657 @@ ${competitors && competitors.length > 0
 
 // LLM API Integration Class
 class LLMAnalyzer {
-    constructor() {
-        this.apiKeys = {
-            openai: process.env.OPENAI_API_KEY,
-            anthropic: process.env.ANTHROPIC_API_KEY,
-            google: process.env.GOOGLE_API_KEY,
-            perplexity: process.env.PERPLEXITY_API_KEY
-        };
+    constructor({ historyStore = new HistoryStore(), analysisStore = new AnalysisStore(), transcriptStore = new TranscriptStore(), responseCache, usageStore } = {}) {
+        this.historyStore = historyStore;
+        this.analysisStore = analysisStore;
+        this.transcriptStore = transcriptStore;
+        this.usageStore = usageStore || new UsageStore({
+            perLeadUsd: parseFloat(process.env.BUDGET_PER_LEAD_USD) || 0,
+            perDayUsd: parseFloat(process.env.BUDGET_PER_DAY_USD) || 0
+        });
+        this.prices = loadPriceTable();
+        this.prompts = new PromptLibrary();
+        this.responseCache = responseCache || new ResponseCache({
+            // Unset or empty (as in .env.example) means the default; 0 turns caching off
+            ttlHours: (process.env.RESPONSE_CACHE_TTL_HOURS || '').trim() !== '' ? parseFloat(process.env.RESPONSE_CACHE_TTL_HOURS) || 0 : 24
+        });
 
-        this.platforms = {
-            chatgpt: this.queryChatGPT.bind(this),
-            gemini: this.queryGemini.bind(this),
-            perplexity: this.queryPerplexity.bind(this),
-            claude: this.queryClaude.bind(this)
-        };
+        // Provider adapters enabled through LLM_PROVIDERS (see providers/index.js)
+        this.providers = providers.getEnabledProviders();
+        // Per keyword query - a platform's keywords run concurrently, so long scans aren't cut short
+        this.keywordTimeoutMs = parseInt(process.env.PLATFORM_TIMEOUT_MS) || 30000;
+        this.keywordConcurrency = parseInt(process.env.KEYWORD_CONCURRENCY) || null;
+    }
+
+    getConfiguredProviders() {
+        return this.providers.filter(provider => providers.isConfigured(provider)).map(provider => provider.id);
     }
 
     async analyzeVisibility(data, options = {}) {
-        const { website, company, competitors, keywords } = data;
-        const { historical = false, days = 7 } = options;
+        const { website, company, competitors, keywords, aliases = [] } = data;
+        const industry = this.prompts.resolveSet(data.industry);
+        const locations = parseLocations(data.locations);
+        const languages = this.resolveLanguages(data.languages);
+        const queries = scanQueries(keywords, locations, languages);
+        const samples = parseInt(data.samples) || 1;
+        // Each provider once, or once per model the scan picked for it
+        const models = providers.parseModels(data.models);
+        const targets = providers.scanTargets(this.providers, models);
+        const {
+            historical = false,
+            days = 7,
+            source = historical ? 'historical' : 'analyze',
+            bypassCache = false,
+            lead = null,
+            owner = null,
+            onProgress = () => {}
+        } = options;
+
+        await this.assertWithinBudget(lead);
 
         const results = {
+            schemaVersion: SCHEMA_VERSION,
             timestamp: new Date().toISOString(),
             website,
             competitors,
             keywords,
+            aliases,
+            industry,
+            locations,
+            languages,
+            samples,
+            models,
             historical,
             days: historical ? days : 1,
+            cache: { bypassed: bypassCache, hits: 0, misses: 0 },
             platformResults: {},
             summary: {}
         };
 
-        if (historical) {
-            // Historical analysis mode
-            console.log(`🕒 Starting ${days}-day historical analysis...`);
-
-            for (const [platform, queryFunc] of Object.entries(this.platforms)) {
-                try {
-                    console.log(`📊 Analyzing ${platform} over ${days} days...`);
-                    const historicalData = await this.queryPlatformHistorical(platform, queryFunc, website, company, competitors, keywords, days);
-                    results.platformResults[platform] = this.processHistoricalData(historicalData, website, company);
-                } catch (error) {
-                    console.error(`Error in historical analysis for ${platform}:`, error);
-                    results.platformResults[platform] = {
-                        error: error.message,
-                        mentions: 0,
-                        ranking: null,
-                        score: 0,
-                        historicalData: []
-                    };
-                }
-            }
-        } else {
-            // Standard single-query analysis with timeout protection
-            for (const [platform, queryFunc] of Object.entries(this.platforms)) {
-                try {
-                    console.log(`Querying ${platform}...`);
-
-                    // Set a 30-second timeout for each platform
-                    const timeoutPromise = new Promise((_, reject) => {
-                        setTimeout(() => reject(new Error('Platform query timeout after 30 seconds')), 30000);
-                    });
-
-                    const queryPromise = queryFunc(website, company, competitors, keywords);
-                    results.platformResults[platform] = await Promise.race([queryPromise, timeoutPromise]);
-
-                } catch (error) {
-                    console.error(`❌ ${platform} query failed:`, error.message);
-                    results.platformResults[platform] = {
-                        error: error.message,
-                        mentions: 0,
-                        ranking: null,
-                        score: 0
-                    };
-                }
-            }
-        }
-
-        // Calculate summary statistics
-        results.summary = this.calculateSummary(results.platformResults, website, competitors);
+        onProgress({ stage: 'started', total: targets.length * queries.length });
 
-        return results;
-    }
-
-    // Historical analysis helper methods
-    async queryPlatformHistorical(platform, queryFunc, website, company, competitors, keywords, days = 7) {
-        const results = [];
-        const today = new Date();
-
-        console.log(`🕒 Running ${days}-day historical analysis for ${platform}...`);
+        // Brand matchers are built once per analysis and shared by every platform
+        const brands = this.buildBrands({ website, company, competitors, aliases });
+        const ledger = createLedger();
+        // Every prompt and answer, saved with the analysis
+        const transcripts = [];
 
-        // Create different prompt variations to simulate historical data
-        const promptVariations = [
-            `current top ${keywords}`, // Day 0 - most recent
-            `latest ${keywords} companies`, // Day 1
-            `best ${keywords} services`, // Day 2
-            `top rated ${keywords}`, // Day 3
-            `leading ${keywords} providers`, // Day 4
-            `recommended ${keywords}`, // Day 5
-            `popular ${keywords} agencies` // Day 6
-        ];
+        // All platforms run in parallel - each provider's token bucket keeps it under its rate limit
+        const platformResults = await Promise.all(targets.map(provider =>
+            this.runPlatform(provider, { website, company, industry, brands, samples, bypassCache, ledger, transcripts }, queries, onProgress)
+        ));
 
-        for (let dayOffset = 0; dayOffset < days; dayOffset++) {
-            const targetDate = new Date(today);
-            targetDate.setDate(today.getDate() - dayOffset);
-            const dateStr = targetDate.toISOString().split('T')[0];
-
-            // Use different prompt variation for each "day"
-            const modifiedKeywords = promptVariations[dayOffset % promptVariations.length];
-
-            try {
-                console.log(`📅 Day ${dayOffset} (${dateStr}): Testing "${modifiedKeywords}"`);
+        // Keep platforms in their configured order, each with what its calls cost
+        targets.forEach((provider, i) => {
+            results.platformResults[provider.key] = platformResults[i];
+            platformResults[i].usage = ledger.platforms[provider.key] || emptyUsage();
+        });
+        results.usage = ledger.total;
 
-                const response = await queryFunc(website, company, competitors, modifiedKeywords);
+        // Calculate summary statistics from the platforms that answered
+        onProgress({ stage: 'summarizing' });
+        this.finalizeResults(results, brands);
 
-                results.push({
-                    date: dateStr,
-                    dayOffset,
-                    keywords: modifiedKeywords,
-                    response: response,
-                    success: true
-                });
+        // Persist this run so trends come from real scans over time
+        try {
+            const { runId } = await this.historyStore.recordAnalysis(results, source);
+            results.historyRunId = runId;
+        } catch (error) {
+            console.error('Error saving scan history:', error);
+        }
 
-                // Add delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 2000));
+        if (historical) {
+            // Historical mode: day-over-day series built from every stored scan (this one included)
+            console.log(`🕒 Loading ${days}-day history for ${website}...`);
+            results.history = await this.historyStore.getTrends({ website, keywords, days });
+        }
 
-            } catch (error) {
-                console.log(`❌ Day ${dayOffset} failed:`, error.message);
-                results.push({
-                    date: dateStr,
-                    dayOffset,
-                    keywords: modifiedKeywords,
-                    response: null,
-                    error: error.message,
-                    success: false
-                });
-            }
+        // Saved under an ID so failed platforms can be retried later without re-running the rest
+        try {
+            const { id } = await this.analysisStore.create({ website, company, competitors, keywords, aliases, industry, locations, languages, samples, models }, results, source, lead, owner);
+            results.analysisId = id;
+            await this.transcriptStore.append(id, transcripts, source);
+        } catch (error) {
+            console.error('Error saving analysis:', error);
         }
 
+        await this.recordUsage(results, ledger, { source, lead });
         return results;
     }
 
-    processHistoricalData(historicalData, website, company) {
-        const mentions = [];
-        const positions = [];
-        let totalMentions = 0;
-        let totalQueries = 0;
-
-        // Process each day's data
-        for (const dayData of historicalData) {
-            totalQueries++;
-
-            if (dayData.success && dayData.response) {
-                const keywordResults = dayData.response.keywordResults || {};
-
-                // Check all keywords for mentions
-                for (const [keyword, result] of Object.entries(keywordResults)) {
-                    if (result.mentioned) {
-                        totalMentions++;
-                        mentions.push({
-                            date: dayData.date,
-                            keyword: keyword,
-                            position: result.position,
-                            dayOffset: dayData.dayOffset
-                        });
-
-                        if (result.position) {
-                            positions.push(result.position);
-                        }
-                    }
-                }
-            }
+    // Refuses new scans once the per-day or per-lead budget is spent
+    async assertWithinBudget(lead = null) {
+        const budget = await this.usageStore.checkBudget(lead);
+        if (!budget.allowed) {
+            const error = new Error(budget.reason);
+            error.code = 'budget-exceeded';
+            error.retryAfterSeconds = budget.retryAfterSeconds;
+            throw error;
         }
+    }
 
-        // Calculate statistics
-        const mentionRate = totalQueries > 0 ? (totalMentions / totalQueries) * 100 : 0;
-        const avgPosition = positions.length > 0 ? positions.reduce((a, b) => a + b, 0) / positions.length : null;
-        const bestPosition = positions.length > 0 ? Math.min(...positions) : null;
-
-        return {
-            mentions: totalMentions,
-            totalQueries,
-            mentionRate: Math.round(mentionRate),
-            avgPosition: avgPosition ? Math.round(avgPosition * 10) / 10 : null,
-            bestPosition,
-            historicalData: historicalData,
-            timeline: mentions,
-            score: this.calculateHistoricalScore(totalMentions, totalQueries, positions)
-        };
+    async recordUsage(results, ledger, { source, lead }) {
+        try {
+            await this.usageStore.record({
+                analysisId: results.analysisId || null,
+                source,
+                lead,
+                website: results.website,
+                usage: ledger.total,
+                byPlatform: ledger.platforms
+            });
+        } catch (error) {
+            console.error('Error saving usage:', error);
+        }
     }
 
-    calculateHistoricalScore(mentions, queries, positions) {
-        if (queries === 0) return 0;
+    // One platform - a failure becomes an explicit error state, never made-up numbers. Keywords that time
+    // out (see queryPlatform) leave the platform partial with the rest of its answers kept
+    async runPlatform(provider, context, queries, onProgress = () => {}) {
+        const platform = provider.key;
+        try {
+            console.log(`Querying ${platform}...`);
+            onProgress({ stage: 'platform-start', platform });
+
+            const platformResult = await this.queryPlatform(provider, context, queries, onProgress);
+            onProgress({ stage: 'platform-done', platform });
+            return platformResult;
 
-        const mentionScore = (mentions / queries) * 50; // 50% for mention frequency
-        const positionScore = positions.length > 0 ?
-            Math.max(0, 50 - (positions.reduce((a, b) => a + b, 0) / positions.length) * 5) : 0; // 50% for position quality
+        } catch (error) {
+            console.error(`❌ ${platform} query failed:`, error.message);
+            onProgress({ stage: 'platform-done', platform, error: error.message });
 
-        return Math.round(mentionScore + positionScore);
+            const errorType = !providers.isConfigured(provider) ? 'not-configured' : (error.code || 'error');
+            return {
+                platform: provider.name,
+                provider: provider.id,
+                model: provider.model,
+                status: 'failed',
+                error: error.message,
+                errorType,
+                // Missing keys need a config change, not another attempt
+                retryable: errorType !== 'not-configured',
+                mentions: 0,
+                ranking: null,
+                score: 0
+            };
+        }
     }
 
-    async queryChatGPT(website, company, competitors, keywords) {
-        if (!this.apiKeys.openai) {
-            throw new Error('OpenAI API key not configured');
+    // Overall status and summary from whichever platforms answered
+    finalizeResults(results, brands) {
+        const platformResults = Object.entries(results.platformResults);
+        results.failedPlatforms = platformResults.filter(([, p]) => p.status === 'failed').map(([id]) => id);
+        results.status =
+            results.failedPlatforms.length === platformResults.length ? 'failed' :
+            platformResults.some(([, p]) => p.status !== 'complete') ? 'partial' : 'complete';
+        results.summary = this.calculateSummary(results.platformResults, results.website, results.competitors, brands);
+        if (results.locations && results.locations.length > 0) {
+            results.summary.byLocation = this.summarizeBreakdown(results, brands, 'location', results.locations);
+        }
+        if (results.languages && results.languages.length > 1) {
+            results.summary.byLanguage = this.summarizeBreakdown(results, brands, 'language', results.languages);
+        }
+        if (results.models && Object.keys(results.models).length > 0) {
+            results.summary.byTier = this.summarizeTiers(results, brands);
         }
 
-        const results = {
-            platform: 'ChatGPT',
-            mentions: 0,
-            ranking: null,
-            score: 0,
-            keywordResults: {}
+        // How many keyword answers came from the response cache
+        const answers = Object.values(results.platformResults)
+            .flatMap(p => Object.values(p.keywordResults || {}))
+            .filter(r => !r.error);
+        results.cache = {
+            bypassed: !!(results.cache && results.cache.bypassed),
+            hits: answers.filter(r => r.cached).length,
+            misses: answers.filter(r => !r.cached).length
         };
 
-        for (const keyword of keywords) {
-            try {
-                // Waikay.ai style: Mix topic queries with direct brand/domain queries
-                const queryVariations = [
-                    `Tell me about ${keyword} services. What companies and agencies provide these services? Include any providers you know about.`,
-                    `What do you know about ${keyword}? Discuss the companies, agencies, and providers in this space.`,
-                    `I'm researching ${keyword}. Can you tell me about companies that provide these services, including any specific agencies or providers you're aware of?`,
-                    `What companies specialize in ${keyword}? Tell me about the business landscape and key players.`,
-                    `Do you know anything about ${company} or ${website}? What services do they provide related to ${keyword}?`
-                ];
-
-                let bestResult = {
-                    mentioned: false,
-                    position: null,
-                    competitorMentions: competitors.map(comp => ({
-                        domain: this.extractDomain(comp),
-                        mentioned: false
-                    })),
-                    responseLength: 0,
-                    confidence: 0.2
-                };
-
-                // Query multiple times with different variations (max 3 attempts to prevent hanging)
-                const maxAttempts = Math.min(3, queryVariations.length);
-                for (let attempt = 0; attempt < maxAttempts; attempt++) {
-                    const query = queryVariations[attempt]
-                        .replace(/\${keyword}/g, keyword)
-                        .replace(/\${company}/g, company)
-                        .replace(/\${website}/g, website);
-
-                    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                        method: 'POST',
-                        headers: {
-                            'Authorization': `Bearer ${this.apiKeys.openai}`,
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({
-                            model: 'gpt-4o',
-                            messages: [
-                                {
-                                    role: 'system',
-                                    content: 'You are a knowledgeable assistant with expertise in local business landscapes. When discussing businesses in a specific area, mention any companies you know about, including their names, services, and locations. Be comprehensive and include both well-known and smaller local businesses.'
-                                },
-                                {
-                                    role: 'user',
-                                    content: query
-                                }
-                            ],
-                            max_tokens: 1200,
-                            temperature: 0.1,
-                            presence_penalty: 0.1,
-                            frequency_penalty: 0.1
-                        })
-                    });
-
-                    if (!response.ok) {
-                        console.log(`ChatGPT API error on attempt ${attempt + 1}: ${response.status}`);
-                        continue;
-                    }
-
-                    const data = await response.json();
-                    const content = data.choices[0].message.content;
-
-                    // DEBUG: Log the full ChatGPT response (remove for production)
-                    // console.log(`\n🔍 CHATGPT FULL RESPONSE (Attempt ${attempt + 1}):`);
-                    // console.log('=' .repeat(80));
-                    // console.log(content);
-                    // console.log('=' .repeat(80));
-
-                    // Analyze this response
-                    const analysis = this.analyzeResponse(content, website, company, competitors);
-
-                    // If we found a mention, use this result (prioritize mentions)
-                    if (analysis.mentioned) {
-                        bestResult = analysis;
-                        console.log(`✅ ChatGPT found mention on attempt ${attempt + 1} at position ${analysis.position}`);
-                        break; // Stop trying once we find a mention
-                    }
-
-                    // If no mention but better confidence, update result
-                    if (analysis.confidence > bestResult.confidence) {
-                        bestResult = analysis;
-                    }
-
-                    // Small delay between attempts
-                    if (attempt < queryVariations.length - 1) {
-                        await this.delay(800);
-                    }
-                }
+        // Sampling mode asks each prompt samples times; first-mention mode stops at the first mention
+        const samplesPerPrompt = results.samples || 1;
+        results.sampling = {
+            mode: samplesPerPrompt > 1 ? 'sampling' : 'first-mention',
+            samplesPerPrompt,
+            unreliableKeywords: Object.values(results.platformResults)
+                .reduce((sum, p) => sum + (p.sampling ? p.sampling.unreliableKeywords.length : 0), 0)
+        };
+        return results;
+    }
 
-                results.keywordResults[keyword] = bestResult;
+    // Scan languages as requested, unknown codes dropped - the default language when none are left
+    resolveLanguages(requested) {
+        const languages = parseLanguages(requested).filter(code => this.prompts.hasLanguage(code));
+        return languages.length > 0 ? languages : [this.prompts.defaultLanguage];
+    }
 
-                if (bestResult.mentioned) {
-                    results.mentions++;
-                    if (!results.ranking || bestResult.position < results.ranking) {
-                        results.ranking = bestResult.position;
-                    }
+    // Scores, mentions and client share of voice per location or language (field), from each
+    // platform's answers for it
+    summarizeBreakdown(results, brands, field, values) {
+        const breakdown = {};
+        for (const value of values) {
+            const platformResults = {};
+            for (const [key, platformResult] of Object.entries(results.platformResults)) {
+                const provider = providers.resolveTarget(key);
+                if (!provider || platformResult.status === 'failed') continue;
+
+                const keywordResults = Object.fromEntries(Object.entries(platformResult.keywordResults)
+                    .filter(([, keywordResult]) => keywordResult[field] === value));
+                try {
+                    platformResults[key] = this.summarizePlatform(provider, keywordResults);
+                } catch (error) {
+                    // Every keyword failed for this location / language on this platform
                 }
-
-            } catch (error) {
-                console.error(`Error querying ChatGPT for keyword "${keyword}":`, error);
-                results.keywordResults[keyword] = { error: error.message, mentioned: false };
             }
+            breakdown[value] = this.breakdownRow(platformResults, brands);
         }
-
-        results.score = this.calculatePlatformScore(results, keywords.length);
-        return results;
+        return breakdown;
     }
 
-    async queryGemini(website, company, competitors, keywords) {
-        if (!this.apiKeys.google) {
-            throw new Error('Google API key not configured');
+    // The same numbers per model tier (config/model-prices.json) - how visible the client is to the
+    // fast models versus the flagship ones
+    summarizeTiers(results, brands) {
+        const byTier = {};
+        for (const [key, platformResult] of Object.entries(results.platformResults)) {
+            const provider = providers.resolveTarget(key);
+            if (!provider || platformResult.status === 'failed') continue;
+            const price = findPrice(this.prices, provider.id, provider.model);
+            const tier = (price && price.tier) || 'other';
+            (byTier[tier] = byTier[tier] || {})[key] = platformResult;
         }
+        return Object.fromEntries(Object.entries(byTier).map(([tier, platformResults]) =>
+            [tier, this.breakdownRow(platformResults, brands)]));
+    }
 
-        const results = {
-            platform: 'Gemini',
-            mentions: 0,
-            ranking: null,
-            score: 0,
-            keywordResults: {}
+    breakdownRow(platformResults, brands) {
+        const answered = Object.values(platformResults);
+        const rankings = answered.filter(p => p.ranking).map(p => p.ranking);
+        return {
+            overallScore: answered.length > 0 ? Math.round(answered.reduce((sum, p) => sum + p.score, 0) / answered.length) : 0,
+            totalMentions: answered.reduce((sum, p) => sum + p.mentions, 0),
+            averageRanking: rankings.length > 0 ? Math.round(rankings.reduce((sum, r) => sum + r, 0) / rankings.length * 10) / 10 : null,
+            platformCount: answered.length,
+            shareOfVoice: answered.length > 0 ? calculateShareOfVoice(platformResults, brands).client.overall : 0,
+            platforms: Object.fromEntries(Object.entries(platformResults).map(([key, p]) => [key, {
+                status: p.status,
+                mentions: p.mentions,
+                ranking: p.ranking,
+                score: p.score
+            }]))
         };
+    }
 
-        for (const keyword of keywords) {
-            try {
-                const queryVariations = [
-                    `Tell me about ${keyword} services. What companies and agencies provide these services? Include any providers you know about.`,
-                    `What do you know about ${keyword}? Discuss the companies, agencies, and providers in this space.`,
-                    `Do you know anything about ${company} or ${website}? What services do they provide related to ${keyword}?`,
-                    `What companies specialize in ${keyword}? Tell me about the business landscape and key players.`
-                ];
-
-                let bestResult = {
-                    mentioned: false,
-                    position: null,
-                    competitorMentions: competitors.map(comp => ({
-                        domain: this.extractDomain(comp),
-                        mentioned: false
-                    })),
-                    responseLength: 0,
-                    confidence: 0.2
-                };
-
-                const maxAttempts = Math.min(3, queryVariations.length);
-                for (let attempt = 0; attempt < maxAttempts; attempt++) {
-                    const query = queryVariations[attempt];
-
-                    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${this.apiKeys.google}`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({
-                            contents: [{
-                                parts: [{
-                                    text: query
-                                }]
-                            }]
-                        })
-                    });
-
-                    if (!response.ok) {
-                        console.log(`Gemini API error on attempt ${attempt + 1}: ${response.status}`);
-                        continue;
-                    }
-
-                    const data = await response.json();
-                    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-                        console.log(`Invalid Gemini response on attempt ${attempt + 1}`);
-                        continue;
-                    }
-                    const content = data.candidates[0].content.parts[0].text;
-
-                    const analysis = this.analyzeResponse(content, website, company, competitors);
+    // What a saved analysis can retry: whole platforms that failed, and failed keywords of partial ones
+    retryTargets(results) {
+        const queries = scanQueries(results.keywords, results.locations || [], results.languages || []);
+        const targets = [];
+        for (const [key, platformResult] of Object.entries(results.platformResults || {})) {
+            const provider = providers.resolveTarget(key);
+            if (!provider) continue;
+            if (platformResult.status === 'failed' && platformResult.retryable) {
+                targets.push({ provider, queries });
+            } else if (platformResult.status === 'partial' && platformResult.failedKeywords.length > 0) {
+                targets.push({ provider, queries: queries.filter(query => platformResult.failedKeywords.includes(query.key)) });
+            }
+        }
+        return targets;
+    }
 
-                    // If we found a mention, use this result
-                    if (analysis.mentioned) {
-                        bestResult = analysis;
-                        console.log(`✅ Gemini found mention on attempt ${attempt + 1} at position ${analysis.position}`);
-                        break;
-                    }
+    // Re-queries only what failed in a saved analysis, merges it back and recomputes the summary
+    async retryAnalysis(analysis, options = {}) {
+        const { website, company, competitors, keywords, aliases = [] } = analysis.request;
+        const industry = this.prompts.resolveSet(analysis.request.industry);
+        const samples = analysis.request.samples || 1;
+        const { lead = null, onProgress = () => {} } = options;
+        const previous = analysis.results;
+        const targets = this.retryTargets(previous);
+
+        await this.assertWithinBudget(lead);
+
+        onProgress({ stage: 'started', total: targets.reduce((sum, target) => sum + target.queries.length, 0) });
+
+        const brands = this.buildBrands({ website, company, competitors, aliases });
+        const ledger = createLedger();
+        const transcripts = [];
+        const retried = await Promise.all(targets.map(({ provider, queries }) =>
+            this.runPlatform(provider, { website, company, industry, brands, samples, ledger, transcripts }, queries, onProgress)
+        ));
+
+        const results = { ...previous, platformResults: { ...previous.platformResults }, retriedAt: new Date().toISOString() };
+        const answered = {};
+
+        targets.forEach(({ provider }, i) => {
+            const previousPlatform = previous.platformResults[provider.key];
+            const retriedPlatform = retried[i];
+
+            // Still failing: a partial platform keeps what it had, a failed one gets the fresh error
+            if (retriedPlatform.status === 'failed') {
+                if (previousPlatform.status === 'failed') results.platformResults[provider.key] = retriedPlatform;
+                return;
+            }
 
-                    // Keep the best result even if no mention found
-                    if (analysis.responseLength > bestResult.responseLength) {
-                        bestResult = analysis;
-                    }
-                }
+            results.platformResults[provider.key] = previousPlatform.status === 'failed' ? retriedPlatform :
+                this.summarizePlatform(provider, { ...previousPlatform.keywordResults, ...retriedPlatform.keywordResults });
 
-                results.keywordResults[keyword] = bestResult;
+            answered[provider.key] = retriedPlatform;
+        });
 
-                if (bestResult.mentioned) {
-                    results.mentions++;
-                    if (!results.ranking || bestResult.position < results.ranking) {
-                        results.ranking = bestResult.position;
-                    }
-                }
+        // Retries add to what the analysis already cost
+        targets.forEach(({ provider }) => {
+            const spent = ledger.platforms[provider.key] || emptyUsage();
+            results.platformResults[provider.key].usage = addUsage({ ...emptyUsage(), ...previous.platformResults[provider.key].usage }, spent);
+        });
+        results.usage = addUsage({ ...emptyUsage(), ...previous.usage }, ledger.total);
 
-                await this.delay(1000);
+        onProgress({ stage: 'summarizing' });
+        this.finalizeResults(results, brands);
 
-            } catch (error) {
-                console.error(`Error querying Gemini for keyword "${keyword}":`, error);
-                results.keywordResults[keyword] = { error: error.message, mentioned: false };
-            }
+        // History gets the newly answered platforms and keywords as their own run
+        try {
+            await this.historyStore.recordAnalysis({ ...results, timestamp: results.retriedAt, platformResults: answered }, 'retry');
+        } catch (error) {
+            console.error('Error saving scan history:', error);
         }
 
-        results.score = this.calculatePlatformScore(results, keywords.length);
+        await this.analysisStore.saveResults(analysis.id, results);
+        results.analysisId = analysis.id;
+        try {
+            await this.transcriptStore.append(analysis.id, transcripts, 'retry');
+        } catch (error) {
+            console.error('Error saving transcripts:', error);
+        }
+        await this.recordUsage(results, ledger, { source: 'retry', lead });
         return results;
     }
 
-    async queryPerplexity(website, company, competitors, keywords) {
-        if (!this.apiKeys.perplexity) {
-            throw new Error('Perplexity API key not configured');
-        }
+    // One provider call through the response cache; only successful answers are cached
+    // Each sample of a prompt is cached separately; the first shares its entry with unsampled scans
+    async queryProvider(provider, { prompt, apiKey, attempt, sample = 0, request }, { bypassCache = false, ledger = null } = {}) {
+        const params = sample > 0 ? { ...provider.requestParams(attempt), sample } : provider.requestParams(attempt);
+        const cacheKey = { provider: provider.id, model: provider.model, prompt, params };
 
-        const results = {
-            platform: 'Perplexity',
-            mentions: 0,
-            ranking: null,
-            score: 0,
-            keywordResults: {}
-        };
+        // Cached answers cost nothing
+        const cached = await this.responseCache.get(cacheKey, { bypass: bypassCache });
+        if (cached) return { ...cached, cached: true, usage: emptyUsage() };
 
-        for (const keyword of keywords) {
-            try {
-                // Create multiple query variations to increase detection chances
-                const queryVariations = [
-                    `Who are the leading companies in "${keyword}"? Please provide the top 10 companies with their websites. Include both national and local/regional companies.`,
-                    `List the top 10 "${keyword}" companies and agencies with websites and locations.`,
-                    `What are the best "${keyword}" providers? Include top 10 companies with websites.`,
-                    `Top "${keyword}" companies - provide a comprehensive list with websites.`
-                ];
-
-                let bestResult = {
-                    mentioned: false,
-                    position: null,
-                    competitorMentions: competitors.map(comp => ({
-                        domain: this.extractDomain(comp),
-                        mentioned: false
-                    })),
-                    responseLength: 0,
-                    confidence: 0.2
-                };
+        const reply = await provider.query({ prompt, apiKey, model: provider.model, attempt, request });
+        if (!reply) return null;
 
-                // Query multiple times with different variations
-                for (let attempt = 0; attempt < Math.min(queryVariations.length, 2); attempt++) { // Limit to 2 attempts for Perplexity
-                    const query = queryVariations[attempt];
-
-                    const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                        method: 'POST',
-                        headers: {
-                            'Authorization': `Bearer ${this.apiKeys.perplexity}`,
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({
-                            model: 'sonar',
-                            messages: [
-                                {
-                                    role: 'user',
-                                    content: query
-                                }
-                            ],
-                            max_tokens: 800,
-                            temperature: 0.3 + (attempt * 0.1)
-                        })
-                    });
-
-                    if (!response.ok) {
-                        console.log(`Perplexity API error on attempt ${attempt + 1}: ${response.status}`);
-                        continue;
-                    }
+        const usage = callUsage(reply.usage || {}, findPrice(this.prices, provider.id, provider.model), { grounded: !!reply.grounded });
+        if (ledger) recordCall(ledger, provider.key, usage);
 
-                    const data = await response.json();
-                    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                        console.log(`Invalid Perplexity response on attempt ${attempt + 1}`);
-                        continue;
-                    }
-                    const content = data.choices[0].message.content;
+        await this.responseCache.set(cacheKey, reply);
+        return { ...reply, cached: false, usage };
+    }
 
-                    // Analyze this response
-                    const analysis = this.analyzeResponse(content, website, company, competitors);
+    // Runs the prompt set's variations on one provider adapter for each keyword / location query (in parallel)
+    // With samples > 1 every variation is asked that many times and all answers are kept (sampling mode)
+    // Each answer is added to transcripts (when given) with the spans where brands were matched
+    // Each keyword query has keywordTimeoutMs (times the samples per prompt) from when it starts; one that
+    // runs out has its calls aborted and is reported failed, so nothing writes to the ledger or
+    // transcripts after the platform is summarised
+    async queryPlatform(provider, { website, company, industry, brands, samples = 1, bypassCache = false, ledger = null, transcripts = null }, queries, onProgress = () => {}) {
+        providers.assertConfigured(provider);
+        const apiKey = providers.getApiKey(provider);
+        const request = createProviderFetch(provider);
+
+        const concurrency = this.keywordConcurrency || provider.keywordConcurrency;
+        const keywordResults = await mapWithConcurrency(queries, concurrency, async ({ key, keyword, location, language, labels }) => {
+            // Location and multi-language scans say which keyword, location and language each result answers
+            const query = labels;
+            // Every attempt is paid for, not just the answer that gets kept
+            const usage = emptyUsage();
+            const timeoutMs = this.keywordTimeoutMs * samples;
+            const controller = new AbortController();
+            const timer = setTimeout(() => {
+                const error = new Error(`${provider.name} did not answer "${key}" within ${Math.round(timeoutMs / 1000)} seconds`);
+                error.code = 'timeout';
+                controller.abort(error);
+            }, timeoutMs);
+            const keywordRequest = (url, options = {}) => request(url, { ...options, signal: controller.signal });
+            try {
+                const queryVariations = this.prompts.build(industry, provider.id, { keyword, company, website, location }, language);
+                const analyses = [];
+                let stoppedEarly = false;
 
-                    // If we found a mention, use this result (prioritize mentions)
-                    if (analysis.mentioned) {
-                        bestResult = analysis;
-                        console.log(`✅ Perplexity found mention on attempt ${attempt + 1} at position ${analysis.position}`);
-                        break; // Stop trying once we find a mention
+                // Query multiple times with different variations (capped per provider to prevent hanging)
+                const maxAttempts = Math.min(provider.maxAttempts, queryVariations.length);
+                for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                    for (let sample = 0; sample < samples; sample++) {
+                        controller.signal.throwIfAborted();
+                        const reply = await this.queryProvider(provider, {
+                            prompt: queryVariations[attempt],
+                            apiKey,
+                            attempt,
+                            sample,
+                            request: keywordRequest
+                        }, { bypassCache, ledger });
+
+                        if (!reply) continue;
+                        addUsage(usage, reply.usage);
+
+                        // Analyze this response - always fresh, even for a cached answer, with this lead's brands
+                        const analysis = this.analyzeResponse(reply.content, brands, reply.citations, language);
+                        analysis.cached = reply.cached;
+                        analysis.modelVersion = reply.modelVersion || null;
+                        analyses.push(analysis);
+
+                        if (transcripts) {
+                            transcripts.push({
+                                timestamp: new Date().toISOString(),
+                                platform: provider.key,
+                                provider: provider.id,
+                                model: provider.model,
+                                modelVersion: analysis.modelVersion,
+                                query: key,
+                                keyword,
+                                location: location || null,
+                                language,
+                                attempt,
+                                sample,
+                                prompt: queryVariations[attempt],
+                                response: reply.content,
+                                citations: analysis.citations.map(citation => citation.url),
+                                cached: reply.cached,
+                                mentioned: analysis.mentioned,
+                                position: analysis.position,
+                                highlights: this.mentionSpans(reply.content, brands)
+                            });
+                        }
                     }
 
-                    // If no mention but better confidence, update result
-                    if (analysis.confidence > bestResult.confidence) {
-                        bestResult = analysis;
+                    // Without sampling, stop trying once a variation mentions the client
+                    if (samples === 1 && analyses.some(analysis => analysis.mentioned)) {
+                        stoppedEarly = attempt < maxAttempts - 1;
+                        console.log(`✅ ${provider.name} found mention on attempt ${attempt + 1}`);
+                        break;
                     }
+                }
 
-                    // Small delay between attempts
-                    if (attempt < 1) {
-                        await this.delay(1000);
-                    }
+                // No answer at all is a failure, not "not mentioned"
+                if (analyses.length === 0) {
+                    throw new Error(`${provider.name} returned no usable response`);
                 }
 
-                results.keywordResults[keyword] = bestResult;
+                const sampling = summarizeSamples(analyses, { samplesPerPrompt: samples, stoppedEarly });
+                // Narrower interval, higher confidence - a single answer never gets much
+                const bestResult = {
+                    ...pickRepresentative(analyses, sampling),
+                    confidence: Math.round((1 - (sampling.interval[1] - sampling.interval[0])) * 100) / 100,
+                    sampling
+                };
 
-                if (bestResult.mentioned) {
-                    results.mentions++;
-                    if (!results.ranking || bestResult.position < results.ranking) {
-                        results.ranking = bestResult.position;
-                    }
-                }
+                onProgress({ stage: 'keyword-done', platform: provider.key, keyword: key, mentioned: bestResult.mentioned });
+                return { ...query, ...bestResult, usage };
 
             } catch (error) {
-                console.error(`Error querying Perplexity for keyword "${keyword}":`, error);
-                results.keywordResults[keyword] = { error: error.message, mentioned: false };
+                console.error(`Error querying ${provider.name} for keyword "${key}":`, error);
+                onProgress({ stage: 'keyword-done', platform: provider.key, keyword: key, error: error.message });
+                const failed = { ...query, error: error.message, mentioned: false, usage };
+                if (error.code === 'timeout') failed.errorType = 'timeout';
+                return failed;
+            } finally {
+                clearTimeout(timer);
             }
-        }
+        });
 
-        results.score = this.calculatePlatformScore(results, keywords.length);
-        return results;
+        const byKeyword = {};
+        queries.forEach(({ key }, i) => {
+            byKeyword[key] = keywordResults[i];
+        });
+        return this.summarizePlatform(provider, byKeyword);
     }
 
-    async queryClaude(website, company, competitors, keywords) {
-        if (!this.apiKeys.anthropic) {
-            throw new Error('Anthropic API key not configured');
-        }
-
+    // Platform totals from its per-keyword results; failed keywords are reported but never scored
+    summarizePlatform(provider, keywordResults) {
+        const keywords = Object.keys(keywordResults);
         const results = {
-            platform: 'Claude',
+            platform: provider.name,
+            provider: provider.id,
+            model: provider.model,
             mentions: 0,
             ranking: null,
             score: 0,
-            keywordResults: {}
+            sentiment: { positive: 0, neutral: 0, negative: 0, evidence: [] },
+            keywordResults
         };
 
-        for (const keyword of keywords) {
-            try {
-                const queryVariations = [
-                    `Tell me about ${keyword} services. What companies and agencies provide these services? Include any providers you know about.`,
-                    `What do you know about ${keyword}? Discuss the companies, agencies, and providers in this space.`,
-                    `Do you know anything about ${company} or ${website}? What services do they provide related to ${keyword}?`,
-                    `What companies specialize in ${keyword}? Tell me about the business landscape and key players.`
-                ];
-
-                let bestResult = {
-                    mentioned: false,
-                    position: null,
-                    competitorMentions: competitors.map(comp => ({
-                        domain: this.extractDomain(comp),
-                        mentioned: false
-                    })),
-                    responseLength: 0,
-                    confidence: 0.2
-                };
-
-                const maxAttempts = Math.min(3, queryVariations.length);
-                for (let attempt = 0; attempt < maxAttempts; attempt++) {
-                    const query = queryVariations[attempt];
-
-                    const response = await fetch('https://api.anthropic.com/v1/messages', {
-                        method: 'POST',
-                        headers: {
-                            'x-api-key': this.apiKeys.anthropic,
-                            'Content-Type': 'application/json',
-                            'anthropic-version': '2023-06-01'
-                        },
-                        body: JSON.stringify({
-                            model: 'claude-3-5-haiku-20241022',
-                            max_tokens: 500,
-                            messages: [
-                                {
-                                    role: 'user',
-                                    content: query
-                                }
-                            ]
-                        })
-                    });
-
-                    if (!response.ok) {
-                        console.log(`Claude API error on attempt ${attempt + 1}: ${response.status}`);
-                        continue;
-                    }
-
-                    const data = await response.json();
-                    if (!data.content || !data.content[0]) {
-                        console.log(`Invalid Claude response on attempt ${attempt + 1}`);
-                        continue;
-                    }
-                    const content = data.content[0].text;
-
-                    const analysis = this.analyzeResponse(content, website, company, competitors);
-
-                    // If we found a mention, use this result
-                    if (analysis.mentioned) {
-                        bestResult = analysis;
-                        console.log(`✅ Claude found mention on attempt ${attempt + 1} at position ${analysis.position}`);
-                        break;
-                    }
+        keywords.forEach(keyword => {
+            const keywordResult = keywordResults[keyword];
 
-                    // Keep the best result even if no mention found
-                    if (analysis.responseLength > bestResult.responseLength) {
-                        bestResult = analysis;
-                    }
-                }
-
-                results.keywordResults[keyword] = bestResult;
-
-                if (bestResult.mentioned) {
-                    results.mentions++;
-                    if (!results.ranking || bestResult.position < results.ranking) {
-                        results.ranking = bestResult.position;
-                    }
+            if (keywordResult.mentioned) {
+                results.mentions++;
+                if (keywordResult.position && (!results.ranking || keywordResult.position < results.ranking)) {
+                    results.ranking = keywordResult.position;
                 }
+            }
 
-                await this.delay(1000);
-
-            } catch (error) {
-                console.error(`Error querying Claude for keyword "${keyword}":`, error);
-                results.keywordResults[keyword] = { error: error.message, mentioned: false };
+            if (keywordResult.sentiment) {
+                results.sentiment[keywordResult.sentiment.sentiment]++;
+                results.sentiment.evidence.push({
+                    keyword,
+                    sentiment: keywordResult.sentiment.sentiment,
+                    evidence: keywordResult.sentiment.evidence
+                });
             }
-        }
+        });
 
-        results.score = this.calculatePlatformScore(results, keywords.length);
+        results.failedKeywords = keywords.filter(keyword => results.keywordResults[keyword].error);
+        if (results.failedKeywords.length === keywords.length) {
+            const error = new Error(`All ${keywords.length} keyword queries failed: ${results.keywordResults[keywords[0]].error}`);
+            error.code = keywords.every(keyword => results.keywordResults[keyword].errorType === 'timeout') ? 'timeout' : 'no-response';
+            throw error;
+        }
+        results.status = results.failedKeywords.length > 0 ? 'partial' : 'complete';
+
+        results.citations = summarizeCitations(Object.values(results.keywordResults).map(r => r.citations));
+        // Exact versions the API reported answering with, for reproducing the scan
+        results.modelVersions = Array.from(new Set(Object.values(results.keywordResults).map(r => r.modelVersion).filter(Boolean)));
+        // Mention probability over every sampled answer, and the keywords with too few to trust
+        const sampled = keywords.filter(keyword => results.keywordResults[keyword].sampling);
+        results.sampling = {
+            ...poolSamples(sampled.map(keyword => results.keywordResults[keyword].sampling)),
+            unreliableKeywords: sampled.filter(keyword => !results.keywordResults[keyword].sampling.reliable)
+        };
+        // Failed keywords don't count against the score - only answered ones do
+        results.score = this.calculatePlatformScore(results, keywords.length - results.failedKeywords.length);
         return results;
     }
 
-    analyzeResponse(content, website, company, competitors) {
-        const websiteDomain = this.extractDomain(website);
+    // Client and competitor matchers from company name, domain and user-supplied alternate names
+    buildBrands({ website, company, competitors = [], aliases = [] }) {
         // Ensure competitors is an array
         const competitorArray = Array.isArray(competitors) ? competitors : [];
-        const competitorDomains = competitorArray.map(url => this.extractDomain(url));
-
-        // Convert to lowercase for case-insensitive matching
-        const lowerContent = content.toLowerCase();
-        const lowerWebsite = websiteDomain.toLowerCase();
-
-        // Create comprehensive search patterns using both company name and domain
-        const actualCompanyName = (company || '').toLowerCase(); // Use the actual company parameter with fallback
-        const extractedCompanyName = this.extractCompanyName(websiteDomain);
-
-        const searchPatterns = [
-            // Website/domain patterns
-            lowerWebsite,
-            website.toLowerCase(),
-
-            // Actual company name patterns
-            actualCompanyName,
-            actualCompanyName.replace(/\s+/g, ''), // "greenbananaseo"
-            actualCompanyName.replace(/\s+/g, ' '), // normalize spaces
-
-            // Extracted company name patterns (from domain)
-            extractedCompanyName.toLowerCase(),
-            extractedCompanyName.replace(/\s+/g, '').toLowerCase(),
-            extractedCompanyName.replace(/\s+/g, ' ').toLowerCase(),
-
-            // Handle specific variations for "GreenBanana SEO"
-            'greenbanana seo',     // common variation
-            'green banana seo',    // spaced variation
-            'greenbananaseo',      // no spaces lowercase
-            'GreenBananaSEO',      // camelCase (Gemini style)
-            'green banana',        // partial match
-            'greenbanana',         // partial no space
-
-            // Handle camelCase and mixed case variations
-            'GreenBanana SEO',     // title case with space
-            'Green Banana SEO'     // full title case
-        ].filter((pattern, index, arr) =>
-            pattern &&
-            pattern.length > 3 &&
-            arr.indexOf(pattern) === index // remove duplicates
-        );
-
-        // Check if the website/company is mentioned using any pattern
-        console.log(`\n🔍 DEBUGGING: ${website} (Company: ${company})`);
-        console.log(`📝 Search patterns:`, searchPatterns);
-        console.log(`📄 Content preview:`, content.substring(0, 200) + '...');
-
-        const mentioned = searchPatterns.some(pattern => {
-            const found = lowerContent.includes(pattern);
-            if (found) console.log(`✅ FOUND pattern "${pattern}"`);
-            return found;
-        });
 
-        let position = null;
-        if (mentioned) {
-            console.log(`🎯 Finding position for mentioned website...`);
-            // Try to determine position by finding the mention in the text
-            const lines = content.split('\n');
-            for (let i = 0; i < lines.length; i++) {
-                const lowerLine = lines[i].toLowerCase();
-                console.log(`📍 Line ${i + 1}: "${lowerLine}"`);
-
-                if (searchPatterns.some(pattern => {
-                    const found = lowerLine.includes(pattern);
-                    if (found) console.log(`✅ Found pattern "${pattern}" in line ${i + 1}`);
-                    return found;
-                })) {
-                    // Try to extract number from the beginning of the line
-                    const numberMatch = lowerLine.match(/^\s*(\d+)[\.\)\s]/);
-                    console.log(`🔢 Number match attempt: ${numberMatch ? numberMatch[1] : 'none'}`);
-                    if (numberMatch) {
-                        position = parseInt(numberMatch[1]);
-                        console.log(`🎯 Position found from number: ${position}`);
-                        break;
-                    }
+        return {
+            client: createBrandMatcher({ name: company, website, aliases }),
+            competitors: competitorArray.map(url => createBrandMatcher({ website: url }))
+        };
+    }
 
-                    // Also try to find position in table format like "| 8 | greenbanana seo |"
-                    const tableMatch = lowerLine.match(/\|\s*(\d+)\s*\|.*greenbanana/i);
-                    console.log(`📊 Table match attempt: ${tableMatch ? tableMatch[1] : 'none'}`);
-                    if (tableMatch) {
-                        position = parseInt(tableMatch[1]);
-                        console.log(`🎯 Table position found: ${position}`);
-                        break;
-                    }
+    // language picks the sentiment lexicon; a language without one leaves sentiment null
+    analyzeResponse(content, brands, rawCitations = [], language = this.prompts.defaultLanguage) {
+        const mentions = brands.client.findMentions(content);
+        const mentioned = mentions.length > 0;
 
-                    // NEW: Handle table format where company name is in its own row
-                    // Look for the company name and then find its position in the table structure
-                    console.log(`🔍 Checking table structure for position...`);
-
-                    // Count how many table rows we've seen before this one
-                    let tableRowCount = 0;
-                    for (let j = 0; j <= i; j++) {
-                        const prevLine = lines[j].toLowerCase();
-                        // Skip header rows and separator rows
-                        if (prevLine.includes('|') &&
-                            !prevLine.includes('agency') &&
-                            !prevLine.includes('highlights') &&
-                            !prevLine.includes('---') &&
-                            !prevLine.includes('rank') &&
-                            !prevLine.includes('company')) {
-                            tableRowCount++;
-                        }
-                    }
+        console.log(`🔍 ${brands.client.name}: ${mentioned ? `found as "${mentions[0].text}"${mentions[0].fuzzy ? ' (fuzzy)' : ''}` : 'not mentioned'}`);
 
-                    if (tableRowCount > 0) {
-                        position = tableRowCount;
-                        console.log(`🎯 Table structure position found: ${position}`);
-                        break;
-                    }
+        // Client and competitors are ranked against the same parsed list of recommendations
+        const rankedList = parseRankedList(content);
+        const position = mentioned ? findRank(rankedList, brands.client) : null;
 
-                    // Fallback: estimate position based on line number
-                    position = Math.min(i + 1, 10);
-                    console.log(`📍 Fallback position based on line number: ${position}`);
-                    break;
-                }
-            }
-            if (!position) position = 5; // Default middle position if found but position unclear
-            console.log(`🏁 Final position: ${position}`);
-        }
+        // Positive / neutral / negative, with the sentence that decided it
+        const sentiment = classifyBrand(content, mentions, language);
+
+        // Analyze competitor mentions with the same matching and sentiment rules as the client
+        const competitorMentions = brands.competitors.map(competitor => {
+            const found = competitor.findMentions(content);
+            return {
+                domain: competitor.domain,
+                mentioned: found.length > 0,
+                position: findRank(rankedList, competitor),
+                sentiment: classifyBrand(content, found, language)
+            };
+        });
 
-        // Analyze competitor mentions
-        const competitorMentions = competitorDomains.map(domain => ({
-            domain,
-            mentioned: lowerContent.includes(domain.toLowerCase())
-        }));
+        // Sources the platform grounded this answer on, tagged client / competitor / third-party
+        const citations = classifyCitations(normalizeCitations(rawCitations), brands);
+        competitorMentions.forEach(competitorMention => {
+            competitorMention.cited = citations.some(c => c.owner === 'competitor' && c.competitor === competitorMention.domain);
+        });
 
         return {
             mentioned,
             position,
+            matchedAs: mentioned ? mentions[0].text : null,
+            sentiment,
+            sentimentScored: hasLexicon(language),
+            cited: citations.some(c => c.owner === 'client'),
+            citations,
             competitorMentions,
-            responseLength: content.length,
-            confidence: mentioned ? 0.8 : 0.2
+            rankedList,
+            responseLength: content.length
         };
     }
 
-    extractDomain(url) {
-        try {
-            const urlObj = new URL(url.startsWith('http') ? url : `https://${url}`);
-            return urlObj.hostname.replace('www.', '');
-        } catch {
-            return url.replace(/^https?:\/\//, '').replace('www.', '').split('/')[0];
-        }
-    }
-
-    extractCompanyName(domain) {
-        // Convert domain to potential company name
-        // e.g., greenbananaseo.com -> "green banana seo"
-        // e.g., hubspot.com -> "hubspot"
-
-        let companyName = domain.replace(/\.(com|org|net|io|co|ai|tech)$/i, ''); // Remove common TLD
-
-        // Handle common patterns
-        const patterns = [
-            // greenbananaseo -> green banana seo
-            { regex: /([a-z])([A-Z])/g, replacement: '$1 $2' },
-            // greenbanana -> green banana (split common words)
-            { regex: /green/gi, replacement: 'green ' },
-            { regex: /banana/gi, replacement: 'banana ' },
-            { regex: /seo/gi, replacement: 'seo' },
-            { regex: /marketing/gi, replacement: 'marketing' },
-            { regex: /digital/gi, replacement: 'digital' },
-            { regex: /agency/gi, replacement: 'agency' },
-            { regex: /solutions/gi, replacement: 'solutions' },
-            { regex: /services/gi, replacement: 'services' },
-            { regex: /consulting/gi, replacement: 'consulting' },
-            { regex: /tech/gi, replacement: 'tech' },
-            { regex: /labs/gi, replacement: 'labs' },
-            { regex: /studio/gi, replacement: 'studio' },
-            { regex: /group/gi, replacement: 'group' },
-            { regex: /media/gi, replacement: 'media' }
-        ];
-
-        // Apply patterns to split compound words
-        patterns.forEach(pattern => {
-            companyName = companyName.replace(pattern.regex, pattern.replacement);
+    // Where the client and competitors appear in an answer: [{ start, end, text, owner, domain }] in
+    // reading order - overlapping names ("Acme" in "Acme Rivals") keep the earlier, longer match
+    mentionSpans(content, brands) {
+        const spans = brands.client.findMentions(content).map(mention => ({ mention, owner: 'client', domain: brands.client.domain }));
+        brands.competitors.forEach(competitor => {
+            competitor.findMentions(content).forEach(mention => spans.push({ mention, owner: 'competitor', domain: competitor.domain }));
         });
 
-        // Clean up extra spaces and return
-        return companyName.replace(/\s+/g, ' ').trim();
+        let coveredUntil = -1;
+        return spans
+            .map(({ mention, owner, domain }) => ({ start: mention.start, end: mention.end, text: mention.text, owner, domain: domain || null }))
+            .sort((a, b) => a.start - b.start || b.end - a.end)
+            .filter(span => {
+                if (span.start < coveredUntil) return false;
+                coveredUntil = span.end;
+                return true;
+            });
+    }
+
+    extractDomain(url) {
+        return extractDomain(url);
     }
 
     calculatePlatformScore(results, totalKeywords) {
-        const mentionRate = results.mentions / totalKeywords;
+        // Mentions are weighted by sentiment - "avoid X" counts for far less than a recommendation - and,
+        // when sampled, by the share of answers that mentioned the client. A scan language without a sentiment
+        // lexicon can't tell a warning from praise, so its mentions count in full
+        const weightedMentions = Object.values(results.keywordResults || {}).reduce((sum, result) => {
+            const weight = result.sentimentScored === false ? 1 :
+                SENTIMENT_WEIGHTS[result.sentiment && result.mentioned ? result.sentiment.sentiment : 'neutral'];
+            if (result.sampling && result.sampling.samplesPerPrompt > 1) return sum + weight * result.sampling.mentionProbability;
+            return result.mentioned ? sum + weight : sum;
+        }, 0);
+        const mentionRate = weightedMentions / totalKeywords;
         const positionBonus = results.ranking ? Math.max(0, (6 - results.ranking) / 5) : 0;
 
         return Math.round((mentionRate * 60 + positionBonus * 40) * 100) / 100;
     }
 
-    calculateSummary(platformResults, website, competitors) {
+    calculateSummary(platformResults, website, competitors, brands = this.buildBrands({ website, competitors })) {
         const platforms = Object.values(platformResults);
         const validPlatforms = platforms.filter(p => !p.error);
 
@@ -963,7 +834,8 @@ class LLMAnalyzer {
                 overallScore: 0,
                 totalMentions: 0,
                 averageRanking: null,
-                competitorComparison: []
+                platformCount: 0,
+                competitorAnalysis: []
             };
         }
 
@@ -973,128 +845,445 @@ class LLMAnalyzer {
         const rankings = validPlatforms.filter(p => p.ranking).map(p => p.ranking);
         const averageRanking = rankings.length > 0 ?
             rankings.reduce((sum, r) => sum + r, 0) / rankings.length : null;
+        const shareOfVoice = calculateShareOfVoice(platformResults, brands);
 
         return {
             overallScore: Math.round(averageScore),
             totalMentions,
             averageRanking: averageRanking ? Math.round(averageRanking * 10) / 10 : null,
             platformCount: validPlatforms.length,
-            competitorAnalysis: this.analyzeCompetitors(platformResults, competitors)
+            shareOfVoice,
+            competitorAnalysis: this.analyzeCompetitors(platformResults, brands, shareOfVoice),
+            citations: summarizeCitations(validPlatforms.flatMap(p =>
+                Object.values(p.keywordResults || {}).map(r => r.citations)
+            )),
+            discoveredCompetitors: this.discoverCompetitors(observationsFromResults(platformResults), brands)
         };
     }
 
-    analyzeCompetitors(platformResults, competitors) {
-        // Analyze how competitors performed across platforms
-        // Ensure competitors is an array
-        const competitorArray = Array.isArray(competitors) ? competitors : [];
-        return competitorArray.map(competitor => {
-            const domain = this.extractDomain(competitor);
+    // Businesses the models recommend, overall and per keyword, with unlisted ones as suggestions
+    discoverCompetitors(observations, brands) {
+        return {
+            ...discoverCompetitors(observations, brands),
+            byKeyword: discoverByKeyword(observations, brands)
+        };
+    }
+
+    // Mentions per listed competitor, with its rank-weighted share of voice
+    analyzeCompetitors(platformResults, brands, shareOfVoice) {
+        return brands.competitors.map((competitor, i) => {
             let totalMentions = 0;
-            let platformsFound = 0;
-
-            Object.values(platformResults).forEach(platform => {
-                if (platform.keywordResults) {
-                    Object.values(platform.keywordResults).forEach(result => {
-                        if (result.competitorMentions) {
-                            const competitorMention = result.competitorMentions.find(
-                                cm => cm.domain === domain
-                            );
-                            if (competitorMention && competitorMention.mentioned) {
-                                totalMentions++;
-                                platformsFound++;
-                            }
-                        }
-                    });
-                }
+            const platformsFound = new Set();
+
+            Object.entries(platformResults).forEach(([platformKey, platform]) => {
+                if (platform.error || !platform.keywordResults) return;
+                Object.values(platform.keywordResults).forEach(result => {
+                    const competitorMention = (result.competitorMentions || []).find(
+                        cm => cm.domain === competitor.domain
+                    );
+                    if (competitorMention && competitorMention.mentioned) {
+                        totalMentions++;
+                        platformsFound.add(platformKey);
+                    }
+                });
             });
 
+            const share = shareOfVoice.competitors[i];
             return {
-                url: competitor,
-                domain,
+                url: competitor.website,
+                domain: competitor.domain,
+                name: competitor.name,
                 mentions: totalMentions,
-                platformsFound,
-                estimatedScore: Math.min(100, (totalMentions / competitors.length) * 25 + Math.random() * 30 + 40)
+                platformsFound: platformsFound.size,
+                platforms: Array.from(platformsFound),
+                shareOfVoice: share.overall,
+                shareOfVoiceByPlatform: share.byPlatform
             };
         });
     }
+}
+
+// Initialize stores and analyzer
+const historyStore = new HistoryStore();
+const analysisStore = new AnalysisStore();
+const transcriptStore = new TranscriptStore();
+const leadStore = new LeadStore();
+const apiKeyStore = new ApiKeyStore();
+const analyzer = new LLMAnalyzer({ historyStore, analysisStore, transcriptStore });
+const jobQueue = new JobQueue({
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2
+});
+const projectStore = new ProjectStore();
+const scheduler = new Scheduler({
+    projectStore,
+    analyzer,
+    apiKeyStore,
+    tickMs: parseInt(process.env.SCHEDULER_TICK_MS) || 60000
+});
+
+// Routes
+// The form page carries a fresh form token (see /api/form below) in <meta name="form-token">
+app.get(['/', '/index.html'], async (req, res, next) => {
+    try {
+        const html = await fs.readFile(path.join(__dirname, 'index.html'), 'utf8');
+        const { token } = createFormToken(formTokenSecret, req.ip);
+        res.set('Cache-Control', 'no-store');
+        res.type('html').send(html.replace('<head>', `<head>\n    <meta name="form-token" content="${token}">`));
+    } catch (error) {
+        next(error);
+    }
+});
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+// The form posts x-www-form-urlencoded with a JSON "payload" field (avoids strict WAFs); API clients post JSON
+function readRequestBody(req) {
+    if (req.body && typeof req.body.payload === 'string') {
+        try {
+            return JSON.parse(req.body.payload);
+        } catch {
+            return {};
+        }
     }
+    return req.body || {};
 }
 
-// Initialize analyzer
-const analyzer = new LLMAnalyzer();
+// Sends a payload only if it matches its schema definition - a drifting response is a server bug, not client data
+function sendValidated(res, name, payload, status = 200) {
+    const errors = validatePayload(name, payload);
+    if (errors.length > 0) {
+        console.error(`❌ ${name} response does not match schema v${SCHEMA_VERSION}:`, errors.slice(0, 10));
+        return res.status(500).json({
+            error: 'Response failed schema validation',
+            details: errors
+        });
+    }
+    return res.status(status).json(payload);
+}
 
-// Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+// Every API response says which contract it follows
+app.use('/api', (req, res, next) => {
+    res.set('X-Schema-Version', SCHEMA_VERSION);
+    next();
 });
 
-app.post('/api/analyze', async (req, res) => {
-    try {
-        const { fullName, email, website, competitors, keywords, company, phone } = req.body;
+// 429 once the daily or per-lead scan budget is spent (Retry-After only when the cap resets)
+function sendBudgetExceeded(res, { reason, retryAfterSeconds }) {
+    if (retryAfterSeconds) res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ error: reason, code: 'budget-exceeded' });
+}
 
-        // Validate required fields
-        if (!fullName || !email || !website || !keywords || keywords.length === 0) {
-            return res.status(400).json({
-                error: 'Missing required fields: fullName, email, website, keywords'
-            });
+// The page that sent a browser request: Origin when the browser sends one, else Sec-Fetch-Site / Referer
+// (same-origin GETs and EventSource often carry no Origin)
+function isAllowedOrigin(req) {
+    const sameOrAllowed = page => {
+        try {
+            const url = new URL(page);
+            return url.host === req.get('host') || allowedOrigins.includes(url.origin);
+        } catch {
+            return false;
         }
+    };
 
-        // Process keywords and competitors into arrays
-        const keywordArray = typeof keywords === 'string' ?
-            keywords.split(',').map(k => k.trim()).filter(k => k.length > 0) :
-            (Array.isArray(keywords) ? keywords : []);
+    const origin = req.get('Origin');
+    if (origin) return sameOrAllowed(origin);
+    if (req.get('Sec-Fetch-Site') === 'same-origin') return true;
+    return sameOrAllowed(req.get('Referer'));
+}
 
-        const competitorArray = typeof competitors === 'string' ?
-            competitors.split(',').map(c => c.trim()).filter(c => c.length > 0) :
-            (Array.isArray(competitors) ? competitors : []);
+// Signs form tokens; set FORM_TOKEN_SECRET so tokens survive restarts and work across instances
+const formTokenSecret = process.env.FORM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+// Per client IP: every /api/form request (job polling included), and the scans it may start
+const formRequestLimiter = new WindowLimiter({ limit: parseInt(process.env.FORM_REQUESTS_PER_MINUTE) || 120, windowMs: 60 * 1000 });
+const formScanLimiter = new WindowLimiter({ limit: parseInt(process.env.FORM_SCANS_PER_HOUR) || 5, windowMs: 60 * 60 * 1000 });
 
-        // Save lead data
-        const leadData = {
-            fullName,
-            email,
-            company,
-            phone,
-            website,
-            competitors: competitorArray,
-            keywords: keywordArray,
-            timestamp: new Date().toISOString(),
-            id: Date.now()
-        };
+function sendRateLimited(res, { retryAfterSeconds }, what) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ error: `Too many ${what} from this address - try again later`, code: 'rate-limited' });
+}
 
-        await saveLeadData(leadData);
+// /api/form/* is the public form's way in: no API key, but only from this site or an ALLOWED_ORIGINS page,
+// rate limited per IP, and POSTs need a form token (X-Form-Token) from the page or GET /api/form/token.
+// The origin check only stops browsers - a script can fake it - so the form also only ever sees the jobs
+// and analyses it started (see formOwner). Only routes registered under both paths exist here - see requireScope
+app.use('/api/form', (req, res, next) => {
+    if (!isAllowedOrigin(req)) {
+        return res.status(403).json({ error: 'Requests to /api/form must come from the analysis form', code: 'origin-not-allowed' });
+    }
 
-        // Send email notification to sales team
-        const emailSent = await sendFormEmail(leadData);
-        if (emailSent) {
-            console.log(`📧 Form submission email sent for ${email}`);
+    const requests = formRequestLimiter.hit(req.ip);
+    if (!requests.allowed) return sendRateLimited(res, requests, 'requests');
+
+    if (req.method === 'POST') {
+        if (!verifyFormToken(formTokenSecret, req.get('X-Form-Token'), req.ip)) {
+            return res.status(403).json({ error: 'Missing or expired form token - reload the page', code: 'form-token-invalid' });
         }
+        const scans = formScanLimiter.hit(req.ip);
+        if (!scans.allowed) return sendRateLimited(res, scans, 'scans');
+    }
 
-        // Perform analysis
-        console.log(`Starting analysis for ${website}...`);
-        const results = await analyzer.analyzeVisibility({
-            website,
-            company,
-            competitors: competitorArray,
-            keywords: keywordArray
+    req.viaForm = true;
+    next();
+});
+
+// A fresh form token - for forms embedded on ALLOWED_ORIGINS pages, and when the page's token expired
+app.get('/api/form/token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, ...createFormToken(formTokenSecret, req.ip) });
+});
+
+// Who started a job or analysis through the form - a hash of the client IP, the address its form token is
+// bound to. API-key and admin requests have no owner and see whatever their scope allows
+function formOwner(req) {
+    return req.viaForm ? crypto.createHash('sha256').update(`form:${req.ip}`).digest('hex') : null;
+}
+
+// Whether the caller may see a job or saved analysis: form callers only their own
+function canAccess(req, record) {
+    return !req.viaForm || (!!record.owner && record.owner === formOwner(req));
+}
+
+// Relative API base for URLs handed back to the caller (job status, events), on the path it came in by
+function apiBase(req) {
+    return req.viaForm ? 'api/form' : 'api';
+}
+
+function suppliedKey(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : (req.get('X-API-Key') || null);
+}
+
+function isAdminToken(supplied) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token || !supplied) return false;
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(supplied);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// "Authorization: Bearer <key>" (or X-API-Key) with the given scope - analyze, history or admin.
+// ADMIN_TOKEN works as a key with every scope and no quota; form requests were checked by origin above
+function requireScope(scope) {
+    return async (req, res, next) => {
+        if (req.viaForm) return next();
+
+        try {
+            const supplied = suppliedKey(req);
+            if (isAdminToken(supplied)) return next();
+
+            const apiKey = await apiKeyStore.authenticate(supplied);
+            if (!apiKey) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({ error: 'A valid API key is required', code: 'unauthorized' });
+            }
+            if (!apiKey.scopes.includes(scope)) {
+                return res.status(403).json({ error: `This API key does not have the "${scope}" scope`, code: 'forbidden' });
+            }
+
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+const requireAdmin = requireScope('admin');
+
+// Counts a scan against the API key's daily quota - false, with a 429 sent, once it's used up.
+// Form requests and ADMIN_TOKEN have no quota (the form is held to the budget caps)
+async function consumeKeyQuota(req, res) {
+    if (!req.apiKey) return true;
+
+    const quota = await apiKeyStore.consume(req.apiKey.id);
+    if (quota.limit > 0) {
+        res.set('X-Quota-Limit', String(quota.limit));
+        res.set('X-Quota-Remaining', String(quota.remaining));
+    }
+    if (!quota.allowed) {
+        res.set('Retry-After', String(quota.retryAfterSeconds));
+        res.status(429).json({ error: `This API key's daily quota of ${quota.limit} scans is used up`, code: 'quota-exceeded' });
+        return false;
+    }
+    return true;
+}
+
+function promptSetIds() {
+    return analyzer.prompts.listSets().map(set => set.id);
+}
+
+function languageCodes() {
+    return analyzer.prompts.listLanguages().map(language => language.code);
+}
+
+function providerIds() {
+    return analyzer.providers.map(provider => provider.id);
+}
+
+function isPricedModel(providerId, model) {
+    return !!findPrice(analyzer.prices, providerId, model);
+}
+
+// Versioned JSON Schema for analysis requests and results
+app.get('/api/schema', (req, res) => {
+    res.json(apiSchema);
+});
+
+// Reads and checks an /api/analyze or /api/analyze-historical body, then charges the budget check and the
+// API key's quota. { scan, leadData, bypassCache } - scan is what analyzeVisibility takes - or null once it
+// has answered with a 400 or 429. Both routes go through here so their rules can't drift apart
+async function readScanRequest(req, res, { historical = false } = {}) {
+    const body = readRequestBody(req);
+    const requestErrors = validatePayload('analyzeRequest', body, 'body');
+    if (requestErrors.length > 0) {
+        res.status(400).json({
+            error: `Invalid request: ${requestErrors.join('; ')}`,
+            details: requestErrors
         });
+        return null;
+    }
 
-        // Add user info to results
-        results.user = {
-            name: fullName,
-            email,
-            company,
-            website
-        };
+    const { fullName, email, website, competitors, keywords, company, phone, aliases, industry, locations, languages, samples, models, days = 7, bypassCache = false } = body;
+    const fail = (error, details) => {
+        res.status(400).json(details ? { error, details } : { error });
+        return null;
+    };
 
-        // Send results
-        res.json({
+    const daysNum = parseInt(days);
+    if (historical && (isNaN(daysNum) || daysNum < 1 || daysNum > 30)) {
+        return fail('Days must be a number between 1 and 30');
+    }
+
+    // Process keywords and competitors into arrays
+    const keywordArray = typeof keywords === 'string' ?
+        keywords.split(',').map(k => k.trim()).filter(k => k.length > 0) :
+        (Array.isArray(keywords) ? keywords : []);
+
+    const competitorArray = typeof competitors === 'string' ?
+        competitors.split(',').map(c => c.trim()).filter(c => c.length > 0) :
+        (Array.isArray(competitors) ? competitors : []);
+
+    const aliasArray = typeof aliases === 'string' ?
+        aliases.split(',').map(a => a.trim()).filter(a => a.length > 0) :
+        (Array.isArray(aliases) ? aliases : []);
+
+    if (keywordArray.length === 0) {
+        return fail('Invalid request: body.keywords must contain at least one keyword');
+    }
+    if (industry && !analyzer.prompts.hasSet(industry)) {
+        return fail(`Invalid request: body.industry must be one of: ${promptSetIds().join(', ')}`);
+    }
+
+    // Cities, regions or countries and languages - every keyword is asked once per combination
+    const locationArray = parseLocations(locations);
+    if (locationArray.length > MAX_LOCATIONS) {
+        return fail(`Invalid request: body.locations must have at most ${MAX_LOCATIONS} locations`);
+    }
+    const languageArray = parseLanguages(languages);
+    const unknownLanguages = languageArray.filter(code => !analyzer.prompts.hasLanguage(code));
+    if (unknownLanguages.length > 0 || languageArray.length > MAX_LANGUAGES) {
+        return fail(`Invalid request: body.languages must be up to ${MAX_LANGUAGES} of: ${languageCodes().join(', ')}`);
+    }
+    const combinations = Math.max(locationArray.length, 1) * Math.max(languageArray.length, 1);
+    if (combinations > 1 && keywordArray.length * combinations > MAX_QUERIES) {
+        return fail(`Invalid request: ${keywordArray.length} keywords x ${combinations} location/language combinations is more than ${MAX_QUERIES} queries per platform`);
+    }
+    // Sampling mode asks every prompt this many times
+    const sampleCount = samples === undefined || samples === '' ? 1 : Number(samples);
+    if (!Number.isInteger(sampleCount) || sampleCount < 1 || sampleCount > MAX_SAMPLES) {
+        return fail(`Invalid request: body.samples must be a whole number from 1 to ${MAX_SAMPLES}`);
+    }
+    if (keywordArray.length * combinations * sampleCount > MAX_SAMPLED_QUERIES) {
+        return fail(`Invalid request: ${keywordArray.length * combinations} queries x ${sampleCount} samples is more than ${MAX_SAMPLED_QUERIES} sampled queries per platform`);
+    }
+    // Models to compare per provider - each one is scanned as its own platform
+    const modelMatrix = providers.parseModels(models);
+    const modelErrors = providers.validateModels(modelMatrix, providerIds(), isPricedModel);
+    if (modelErrors.length > 0) {
+        return fail(`Invalid request: body.${modelErrors.join('; body.')}`, modelErrors);
+    }
+
+    const budget = await analyzer.usageStore.checkBudget(email);
+    if (!budget.allowed) {
+        sendBudgetExceeded(res, budget);
+        return null;
+    }
+    if (!(await consumeKeyQuota(req, res))) return null;
+
+    const scan = {
+        website,
+        company,
+        competitors: competitorArray,
+        keywords: keywordArray,
+        aliases: aliasArray,
+        industry: industry || null,
+        locations: locationArray,
+        languages: languageArray,
+        samples: sampleCount,
+        models: modelMatrix
+    };
+    const leadData = {
+        fullName,
+        email,
+        company,
+        phone,
+        ...scan,
+        timestamp: new Date().toISOString(),
+        ...(historical ? { analysisType: 'historical', days: daysNum } : {})
+    };
+
+    return { scan, leadData, bypassCache };
+}
+
+// Queues the analysis and answers right away - follow it via /api/jobs/:id or its SSE stream
+app.post(['/api/analyze', '/api/form/analyze'], requireScope('analyze'), async (req, res) => {
+    try {
+        const request = await readScanRequest(req, res);
+        if (!request) return;
+        const { scan, leadData, bypassCache } = request;
+        const { fullName, email, company, website } = leadData;
+
+        // Save lead data
+        await saveLeadData(leadData);
+
+        const job = jobQueue.enqueue('analyze', leadData, async (job, reportProgress) => {
+            // Send email notification to sales team
+            const emailSent = await sendFormEmail(leadData);
+            if (emailSent) {
+                console.log(`📧 Form submission email sent for ${email}`);
+            }
+
+            // Perform analysis
+            console.log(`Starting analysis for ${website}...`);
+            const results = await analyzer.analyzeVisibility(scan, {
+                bypassCache,
+                lead: email,
+                owner: formOwner(req),
+                onProgress: reportProgress
+            });
+
+            // Add user info to results
+            results.user = {
+                name: fullName,
+                email,
+                company,
+                website
+            };
+
+            // A result that breaks the contract fails the job instead of reaching the frontend
+            assertValid('analysisResults', results);
+
+            return {
+                results,
+                emailNotification: emailSent ? 'Email sent to sales team' : 'Email notification skipped'
+            };
+        }, { owner: formOwner(req) });
+
+        sendValidated(res, 'analyzeAccepted', {
             success: true,
-            results,
-            emailNotification: emailSent ? 'Email sent to sales team' : 'Email notification skipped'
-        });
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `${apiBase(req)}/jobs/${job.id}`,
+            eventsUrl: `${apiBase(req)}/jobs/${job.id}/events`
+        }, 202);
 
     } catch (error) {
         console.error('Analysis error:', error);
@@ -1105,50 +1294,170 @@ app.post('/api/analyze', async (req, res) => {
     }
 });
 
-// Historical analysis endpoint
-app.post('/api/analyze-historical', async (req, res) => {
+app.get(['/api/jobs/:id', '/api/form/jobs/:id'], requireScope('analyze'), (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job || !canAccess(req, job)) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    sendValidated(res, 'jobStatus', {
+        success: true,
+        job: jobQueue.toJSON(job)
+    });
+});
+
+// Server-Sent Events stream of per-platform and per-keyword progress
+app.get(['/api/jobs/:id/events', '/api/form/jobs/:id/events'], requireScope('analyze'), (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job || !canAccess(req, job)) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (eventName, data) => {
+        res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const isFinished = () => job.status === 'completed' || job.status === 'failed';
+    const finish = () => {
+        send('done', jobQueue.toJSON(job));
+        cleanup();
+        res.end();
+    };
+
+    const listener = event => {
+        send('progress', event);
+        if (isFinished()) finish();
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobQueue.off(`job:${job.id}`, listener);
+    };
+
+    // Snapshot first so late subscribers see where the job already is
+    send('progress', { stage: job.progress.stage, jobId: job.id, status: job.status, progress: job.progress });
+    if (isFinished()) return finish();
+
+    jobQueue.on(`job:${job.id}`, listener);
+    req.on('close', cleanup);
+});
+
+// Saved analysis by ID (the analysisId of any result) - the form only gets analyses it started
+async function sendAnalysis(req, res) {
     try {
-        const { fullName, email, website, competitors, keywords, company, phone, days = 7 } = req.body;
+        const analysis = await analysisStore.get(req.params.id);
+        if (!analysis || !canAccess(req, analysis)) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
 
-        // Validate required fields
-        if (!fullName || !email || !website || !keywords || keywords.length === 0) {
-            return res.status(400).json({
-                error: 'Missing required fields: fullName, email, website, keywords'
-            });
+        sendValidated(res, 'analysisResponse', { success: true, results: analysis.results });
+    } catch (error) {
+        console.error('Analysis lookup error:', error);
+        res.status(500).json({ error: 'Failed to load analysis.', details: error.message });
+    }
+}
+
+// Every prompt and answer behind a saved analysis, with where the client and competitors were matched
+// ?platform=chatgpt (or "chatgpt:gpt-4o-mini") and ?query=<keywordResults key> narrow it down
+async function sendTranscripts(req, res) {
+    try {
+        const analysis = await analysisStore.get(req.params.id);
+        if (!analysis || !canAccess(req, analysis)) {
+            return res.status(404).json({ error: 'Analysis not found' });
         }
 
-        // Validate days parameter
-        const daysNum = parseInt(days);
-        if (isNaN(daysNum) || daysNum < 1 || daysNum > 30) {
-            return res.status(400).json({
-                error: 'Days must be a number between 1 and 30'
-            });
+        const transcripts = await transcriptStore.list(analysis.id, {
+            platform: req.query.platform ? String(req.query.platform) : null,
+            query: req.query.query ? String(req.query.query) : null
+        });
+        sendValidated(res, 'transcriptsResponse', {
+            success: true,
+            analysisId: analysis.id,
+            website: analysis.request.website,
+            count: transcripts.length,
+            transcripts
+        });
+    } catch (error) {
+        console.error('Transcript lookup error:', error);
+        res.status(500).json({ error: 'Failed to load transcripts.', details: error.message });
+    }
+}
+
+app.get(['/api/analyses/:id', '/api/form/analyses/:id'], requireScope('history'), sendAnalysis);
+app.get(['/api/analyses/:id/transcripts', '/api/form/analyses/:id/transcripts'], requireScope('history'), sendTranscripts);
+
+// Analyses with a retry in flight - a second click shouldn't pay for the same queries twice
+const retryingAnalyses = new Set();
+
+// Re-queries only the failed platforms / keywords of a saved analysis, as a job like /api/analyze
+app.post(['/api/analyses/:id/retry', '/api/form/analyses/:id/retry'], requireScope('analyze'), async (req, res) => {
+    try {
+        const analysis = await analysisStore.get(req.params.id);
+        if (!analysis || !canAccess(req, analysis)) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+        if (retryingAnalyses.has(analysis.id)) {
+            return res.status(409).json({ error: 'A retry of this analysis is already running' });
         }
 
-        // Process keywords and competitors into arrays
-        const keywordArray = typeof keywords === 'string' ?
-            keywords.split(',').map(k => k.trim()).filter(k => k.length > 0) :
-            (Array.isArray(keywords) ? keywords : []);
+        const targets = analyzer.retryTargets(analysis.results);
+        if (targets.length === 0) {
+            return res.status(409).json({ error: 'Nothing to retry - no failed platforms or keywords' });
+        }
 
-        const competitorArray = typeof competitors === 'string' ?
-            competitors.split(',').map(c => c.trim()).filter(c => c.length > 0) :
-            (Array.isArray(competitors) ? competitors : []);
+        // Retries are charged to the lead that ran the original scan
+        const lead = await analyzer.usageStore.leadFor(analysis.id);
+        const budget = await analyzer.usageStore.checkBudget(lead);
+        if (!budget.allowed) {
+            return sendBudgetExceeded(res, budget);
+        }
+        if (!(await consumeKeyQuota(req, res))) return;
 
-        // Save lead data
-        const leadData = {
-            fullName,
-            email,
-            company,
-            phone,
-            website,
-            competitors: competitorArray,
-            keywords: keywordArray,
-            timestamp: new Date().toISOString(),
-            id: Date.now(),
-            analysisType: 'historical',
-            days: daysNum
-        };
+        retryingAnalyses.add(analysis.id);
+        const job = jobQueue.enqueue('retry', { analysisId: analysis.id }, async (job, reportProgress) => {
+            try {
+                console.log(`🔁 Retrying ${targets.map(t => t.provider.key).join(', ')} for ${analysis.request.website}...`);
+                const results = await analyzer.retryAnalysis(analysis, { lead, onProgress: reportProgress });
 
+                assertValid('analysisResults', results);
+                return { results };
+            } finally {
+                retryingAnalyses.delete(analysis.id);
+            }
+        }, { owner: formOwner(req) });
+
+        sendValidated(res, 'analyzeAccepted', {
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `${apiBase(req)}/jobs/${job.id}`,
+            eventsUrl: `${apiBase(req)}/jobs/${job.id}/events`
+        }, 202);
+    } catch (error) {
+        console.error('Analysis retry error:', error);
+        res.status(500).json({ error: 'Failed to retry analysis.', details: error.message });
+    }
+});
+
+// Historical analysis endpoint
+app.post(['/api/analyze-historical', '/api/form/analyze-historical'], requireScope('analyze'), async (req, res) => {
+    try {
+        const request = await readScanRequest(req, res, { historical: true });
+        if (!request) return;
+        const { scan, leadData, bypassCache } = request;
+        const { fullName, email, company, website, days: daysNum } = leadData;
+
+        // Save lead data
         await saveLeadData(leadData);
 
         // Send email notification to sales team
@@ -1159,14 +1468,12 @@ app.post('/api/analyze-historical', async (req, res) => {
 
         // Perform historical analysis
         console.log(`🕒 Starting ${daysNum}-day historical analysis for ${website}...`);
-        const results = await analyzer.analyzeVisibility({
-            website,
-            company,
-            competitors: competitorArray,
-            keywords: keywordArray
-        }, {
+        const results = await analyzer.analyzeVisibility(scan, {
             historical: true,
-            days: daysNum
+            days: daysNum,
+            bypassCache,
+            lead: email,
+            owner: formOwner(req)
         });
 
         // Add user info to results
@@ -1178,7 +1485,7 @@ app.post('/api/analyze-historical', async (req, res) => {
         };
 
         // Send results
-        res.json({
+        sendValidated(res, 'analysisResponse', {
             success: true,
             results,
             message: `Historical analysis completed for ${daysNum} days`,
@@ -1186,6 +1493,9 @@ app.post('/api/analyze-historical', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.code === 'budget-exceeded') {
+            return sendBudgetExceeded(res, { reason: error.message, retryAfterSeconds: error.retryAfterSeconds });
+        }
         console.error('Historical analysis error:', error);
         res.status(500).json({
             error: 'Historical analysis failed. Please try again later.',
@@ -1194,23 +1504,212 @@ app.post('/api/analyze-historical', async (req, res) => {
     }
 });
 
-// Lead management
-async function saveLeadData(leadData) {
+// Scan history endpoint - real day-over-day series from stored runs
+app.get('/api/history', requireScope('history'), async (req, res) => {
     try {
-        const leadsFile = 'leads.json';
-        let leads = [];
+        const { website, keyword, keywords, platform, days = 30 } = req.query;
 
-        try {
-            const data = await fs.readFile(leadsFile, 'utf8');
-            leads = JSON.parse(data);
-        } catch (error) {
-            // File doesn't exist yet, start with empty array
+        if (!website) {
+            return res.status(400).json({
+                error: 'Missing required query parameter: website'
+            });
         }
 
-        leads.push(leadData);
-        await fs.writeFile(leadsFile, JSON.stringify(leads, null, 2));
+        const daysNum = parseInt(days);
+        if (isNaN(daysNum) || daysNum < 1 || daysNum > 365) {
+            return res.status(400).json({
+                error: 'Days must be a number between 1 and 365'
+            });
+        }
+
+        const keywordArray = (keywords || keyword || '')
+            .split(',').map(k => k.trim()).filter(k => k.length > 0);
+
+        const history = await historyStore.getTrends({
+            website,
+            keywords: keywordArray,
+            platform: platform || null,
+            days: daysNum
+        });
 
-        console.log(`Saved lead: ${leadData.email}`);
+        res.json({
+            success: true,
+            history
+        });
+
+    } catch (error) {
+        console.error('History error:', error);
+        res.status(500).json({
+            error: 'Failed to load history.',
+            details: error.message
+        });
+    }
+});
+
+// Competitors the AI engines recommend for a website's keywords, from stored scans
+app.get('/api/competitors/discovered', requireScope('history'), async (req, res) => {
+    try {
+        const { website, company, competitors, aliases, keyword, keywords, days = 30 } = req.query;
+
+        if (!website) {
+            return res.status(400).json({
+                error: 'Missing required query parameter: website'
+            });
+        }
+
+        const daysNum = parseInt(days);
+        if (isNaN(daysNum) || daysNum < 1 || daysNum > 365) {
+            return res.status(400).json({
+                error: 'Days must be a number between 1 and 365'
+            });
+        }
+
+        const toArray = value => (value || '').split(',').map(v => v.trim()).filter(v => v.length > 0);
+        const since = new Date(Date.now() - daysNum * 24 * 60 * 60 * 1000);
+
+        const rows = await historyStore.query({ website, keywords: toArray(keywords || keyword), since });
+        const observations = rows
+            .filter(row => row.entities)
+            .map(row => ({ platform: row.platform, keyword: row.keyword, entities: row.entities }));
+
+        const brands = analyzer.buildBrands({
+            website,
+            company,
+            competitors: toArray(competitors),
+            aliases: toArray(aliases)
+        });
+
+        res.json({
+            success: true,
+            website,
+            days: daysNum,
+            discovered: analyzer.discoverCompetitors(observations, brands)
+        });
+
+    } catch (error) {
+        console.error('Competitor discovery error:', error);
+        res.status(500).json({
+            error: 'Failed to discover competitors.',
+            details: error.message
+        });
+    }
+});
+
+// Tracked projects - websites scanned on a recurring schedule
+app.get('/api/projects', requireScope('history'), async (req, res) => {
+    try {
+        res.json({ success: true, projects: await projectStore.list() });
+    } catch (error) {
+        console.error('Project list error:', error);
+        res.status(500).json({ error: 'Failed to load projects.', details: error.message });
+    }
+});
+
+app.post('/api/projects', requireScope('analyze'), async (req, res) => {
+    try {
+        const { errors, values } = normalizeProjectInput(req.body, { promptSets: promptSetIds(), languages: languageCodes(), providerIds: providerIds(), isPriced: isPricedModel });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid project: ${errors.join('; ')}` });
+        }
+
+        const project = await projectStore.create({ ...values, apiKeyId: req.apiKey ? req.apiKey.id : null });
+        console.log(`📁 Tracking project "${project.name}" (${project.schedule.frequency})`);
+        res.status(201).json({ success: true, project });
+    } catch (error) {
+        console.error('Project create error:', error);
+        res.status(500).json({ error: 'Failed to create project.', details: error.message });
+    }
+});
+
+app.get('/api/projects/:id', requireScope('history'), async (req, res) => {
+    try {
+        const project = await projectStore.get(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        res.json({ success: true, project });
+    } catch (error) {
+        console.error('Project load error:', error);
+        res.status(500).json({ error: 'Failed to load project.', details: error.message });
+    }
+});
+
+app.patch('/api/projects/:id', requireScope('analyze'), async (req, res) => {
+    try {
+        const { errors, values } = normalizeProjectInput(req.body, { partial: true, promptSets: promptSetIds(), languages: languageCodes(), providerIds: providerIds(), isPriced: isPricedModel });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid project: ${errors.join('; ')}` });
+        }
+
+        const existing = await projectStore.get(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Project not found' });
+        const sizeErrors = scanSizeErrors({ ...existing, ...values });
+        if (sizeErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid project: ${sizeErrors.join('; ')}` });
+        }
+
+        const project = await projectStore.update(req.params.id, values);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        res.json({ success: true, project });
+    } catch (error) {
+        console.error('Project update error:', error);
+        res.status(500).json({ error: 'Failed to update project.', details: error.message });
+    }
+});
+
+app.delete('/api/projects/:id', requireScope('analyze'), async (req, res) => {
+    try {
+        const removed = await projectStore.remove(req.params.id);
+        if (!removed) return res.status(404).json({ error: 'Project not found' });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Project delete error:', error);
+        res.status(500).json({ error: 'Failed to delete project.', details: error.message });
+    }
+});
+
+app.get('/api/projects/:id/runs', requireScope('history'), async (req, res) => {
+    try {
+        const project = await projectStore.get(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        res.json({ success: true, runs: await projectStore.listRuns(project.id, limit) });
+    } catch (error) {
+        console.error('Project runs error:', error);
+        res.status(500).json({ error: 'Failed to load project runs.', details: error.message });
+    }
+});
+
+// Run a tracked project now instead of waiting for its next scheduled slot
+app.post('/api/projects/:id/run', requireScope('analyze'), async (req, res) => {
+    try {
+        const project = await projectStore.get(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        if (scheduler.running.has(project.id)) {
+            return res.status(409).json({ error: 'Project scan already in progress' });
+        }
+        if (!(await consumeKeyQuota(req, res))) return;
+
+        // Scans take minutes - run in the background, results land in /runs
+        scheduler.runProject(project, 'manual').catch(error => {
+            console.error(`Manual scan for project ${project.id} failed:`, error);
+        });
+
+        res.status(202).json({ success: true, message: 'Scan started' });
+    } catch (error) {
+        console.error('Project run error:', error);
+        res.status(500).json({ error: 'Failed to start project scan.', details: error.message });
+    }
+});
+
+// Lead management
+async function saveLeadData(leadData) {
+    try {
+        const { lead, created } = await leadStore.save(leadData);
+        console.log(created ? `Saved lead: ${lead.email}` : `Updated lead: ${lead.email} (submission ${lead.submissions})`);
     } catch (error) {
         console.error('Error saving lead data:', error);
     }
@@ -1223,21 +1722,202 @@ app.get('/api/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        apis: {
-            openai: !!process.env.OPENAI_API_KEY,
-            anthropic: !!process.env.ANTHROPIC_API_KEY,
-            google: !!process.env.GOOGLE_API_KEY,
-            perplexity: !!process.env.PERPLEXITY_API_KEY
-        }
+        apis: Object.fromEntries(
+            analyzer.providers.map(provider => [provider.id, providers.isConfigured(provider)])
+        ),
+        responseCache: { enabled: analyzer.responseCache.enabled, hitRate: analyzer.responseCache.stats().hitRate }
     });
 });
 
+// Response cache hit/miss counters since the server started
+app.get('/api/cache/stats', requireAdmin, (req, res) => {
+    res.json({ success: true, cache: analyzer.responseCache.stats() });
+});
+
+// Prompt template sets a scan's industry can pick from (config/prompt-templates.json)
+app.get('/api/prompt-sets', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            defaultSet: analyzer.prompts.defaultSet,
+            sets: analyzer.prompts.listSets(),
+            defaultLanguage: analyzer.prompts.defaultLanguage,
+            languages: analyzer.prompts.listLanguages()
+        });
+    } catch (error) {
+        console.error('Prompt sets error:', error);
+        res.status(500).json({ error: 'Failed to load prompt templates.', details: error.message });
+    }
+});
+
+// The prompts a scan with this set would send, e.g. ?keyword=seo+services&company=Acme&location=Austin&language=fr
+app.get('/api/prompt-sets/:id/preview', (req, res) => {
+    try {
+        if (!analyzer.prompts.hasSet(req.params.id)) {
+            return res.status(404).json({ error: 'Prompt set not found' });
+        }
+
+        const { keyword = '{keyword}', company = '', website = '', location = '' } = req.query;
+        const selected = req.query.provider
+            ? analyzer.providers.filter(provider => provider.id === req.query.provider)
+            : analyzer.providers;
+        if (selected.length === 0) {
+            return res.status(400).json({ error: `Unknown provider: ${req.query.provider}` });
+        }
+
+        const language = req.query.language || analyzer.prompts.defaultLanguage;
+        if (!analyzer.prompts.hasLanguage(language)) {
+            return res.status(400).json({ error: `Unknown language: ${language}` });
+        }
+
+        const preview = analyzer.prompts.preview(req.params.id, selected.map(provider => provider.id), { keyword, company, website, location }, language);
+
+        // Only the first maxAttempts prompts that render are ever sent
+        preview.forEach((entry, i) => {
+            let sent = 0;
+            entry.prompts.forEach(item => {
+                item.sent = item.prompt !== null && sent++ < selected[i].maxAttempts;
+            });
+        });
+
+        res.json({ success: true, set: req.params.id, language, variables: { keyword, company, website, location }, providers: preview });
+    } catch (error) {
+        console.error('Prompt preview error:', error);
+        res.status(500).json({ error: 'Failed to preview prompts.', details: error.message });
+    }
+});
+
+// Token usage and estimated spend per day, platform and lead, with the budget caps
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        res.json({ success: true, usage: await analyzer.usageStore.report({ days }) });
+    } catch (error) {
+        console.error('Usage report error:', error);
+        res.status(500).json({ error: 'Failed to load usage report.', details: error.message });
+    }
+});
+
+// Leads with their analyses for the admin dashboard (admin.html), filtered by ?q, from, to, keyword,
+// minScore, maxScore
+async function adminLeadRows(query) {
+    const { errors, filters } = parseLeadFilters(query);
+    if (errors.length > 0) return { errors };
+    const [leads, analyses] = await Promise.all([leadStore.list(), analysisStore.list()]);
+    return { filters, rows: filterLeads(joinAnalyses(leads, analyses), filters) };
+}
+
+app.get('/api/admin/leads', requireAdmin, async (req, res) => {
+    try {
+        const { errors, filters, rows } = await adminLeadRows(req.query);
+        if (errors) {
+            return res.status(400).json({ error: `Invalid request: ${errors.join('; ')}`, details: errors });
+        }
+
+        const { items, ...page } = paginate(rows, filters);
+        res.json({
+            success: true,
+            ...page,
+            leads: items.map(({ analyses, ...lead }) => ({ ...lead, analysisCount: analyses.length }))
+        });
+    } catch (error) {
+        console.error('Lead list error:', error);
+        res.status(500).json({ error: 'Failed to load leads.', details: error.message });
+    }
+});
+
+// Same filters as /api/admin/leads, every matching lead as a spreadsheet
+app.get('/api/admin/leads.csv', requireAdmin, async (req, res) => {
+    try {
+        const { errors, rows } = await adminLeadRows(req.query);
+        if (errors) {
+            return res.status(400).json({ error: `Invalid request: ${errors.join('; ')}`, details: errors });
+        }
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="leads-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(leadsCsv(rows));
+    } catch (error) {
+        console.error('Lead export error:', error);
+        res.status(500).json({ error: 'Failed to export leads.', details: error.message });
+    }
+});
+
+app.get('/api/admin/leads/:id', requireAdmin, async (req, res) => {
+    try {
+        const lead = await leadStore.get(req.params.id);
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+
+        const [row] = joinAnalyses([lead], await analysisStore.list());
+        res.json({ success: true, lead: row });
+    } catch (error) {
+        console.error('Lead lookup error:', error);
+        res.status(500).json({ error: 'Failed to load lead.', details: error.message });
+    }
+});
+
+// Any saved analysis and its transcripts, for the lead dashboard
+app.get('/api/admin/analyses/:id', requireAdmin, sendAnalysis);
+app.get('/api/admin/analyses/:id/transcripts', requireAdmin, sendTranscripts);
+
+// API keys for scripted access - the key itself is only in the create response
+app.get('/api/admin/api-keys', requireAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, apiKeys: await apiKeyStore.list() });
+    } catch (error) {
+        console.error('API key list error:', error);
+        res.status(500).json({ error: 'Failed to load API keys.', details: error.message });
+    }
+});
+
+app.post('/api/admin/api-keys', requireAdmin, async (req, res) => {
+    try {
+        const { errors, values } = normalizeKeyInput(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid request: ${errors.join('; ')}`, details: errors });
+        }
+
+        const { key, apiKey } = await apiKeyStore.create(values);
+        res.status(201).json({ success: true, key, apiKey });
+    } catch (error) {
+        console.error('API key create error:', error);
+        res.status(500).json({ error: 'Failed to create API key.', details: error.message });
+    }
+});
+
+app.delete('/api/admin/api-keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const apiKey = await apiKeyStore.revoke(req.params.id);
+        if (!apiKey) return res.status(404).json({ error: 'API key not found or already revoked' });
+        res.json({ success: true, apiKey });
+    } catch (error) {
+        console.error('API key revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key.', details: error.message });
+    }
+});
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 LLM Visibility Tool server running on port ${PORT}`);
     console.log(`📊 Dashboard: http://localhost:${PORT}`);
     console.log(`🌐 External access: http://0.0.0.0:${PORT}`);
-    console.log(`🔑 API Keys configured: ${Object.entries(analyzer.apiKeys).filter(([k, v]) => v).map(([k]) => k).join(', ') || 'None'}`);
+    console.log(`🔑 Providers configured: ${analyzer.getConfiguredProviders().join(', ') || 'None'}`);
+    console.log(`💾 Data directory: ${DATA_DIR}`);
+    if (!process.env.DATA_DIR && existsSync(LEGACY_DATA_DIR)) {
+        console.warn(`⚠️  ${LEGACY_DATA_DIR} is no longer read - move its contents to ${DATA_DIR} or set DATA_DIR`);
+    }
+
+    leadStore.importLegacy()
+        .then(({ imported, merged }) => {
+            if (imported + merged > 0) console.log(`📇 Imported ${imported} leads from leads.json (${merged} repeat submissions merged)`);
+        })
+        .catch(error => console.error('Lead import from leads.json failed:', error));
+
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+        scheduler.start();
+    }
 });
 
 module.exports = app;
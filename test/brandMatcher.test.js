@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrandMatcher, buildAliases, compact, splitCamelCase } = require('../lib/brandMatcher');
+
+const matched = (matcher, text) => matcher.findMentions(text).map(mention => mention.text);
+
+test('matches the name however it is spaced, cased or hyphenated', () => {
+    const matcher = createBrandMatcher({ name: 'Green Banana SEO', website: 'https://greenbananaseo.com' });
+    assert.deepEqual(matched(matcher, 'Try Green Banana SEO first'), ['Green Banana SEO']);
+    assert.deepEqual(matched(matcher, 'GreenBananaSEO is an agency'), ['GreenBananaSEO']);
+    assert.deepEqual(matched(matcher, 'green-banana seo'), ['green-banana seo']);
+    assert.deepEqual(matched(matcher, 'See greenbananaseo.com'), ['greenbananaseo.com']);
+});
+
+test('matches possessives', () => {
+    const matcher = createBrandMatcher({ name: 'Acme Digital' });
+    assert.deepEqual(matched(matcher, "Acme Digital's team is small"), ['Acme Digital']);
+    assert.deepEqual(matched(matcher, 'Acme Digital’s pricing'), ['Acme Digital']);
+});
+
+test('splits camelCase names into words', () => {
+    assert.equal(splitCamelCase('GreenBananaSEO'), 'Green Banana SEO');
+    assert.equal(splitCamelCase('HubSpot'), 'Hub Spot');
+
+    const matcher = createBrandMatcher({ name: 'HubSpot' });
+    assert.deepEqual(matched(matcher, 'Hub Spot has a free CRM'), ['Hub Spot']);
+});
+
+test('folds accents and letters NFKD leaves alone', () => {
+    assert.equal(compact('Café Étoile'), 'cafeetoile');
+    assert.equal(compact('Straße'), 'strasse');
+
+    const matcher = createBrandMatcher({ name: 'Café Étoile' });
+    assert.deepEqual(matched(matcher, 'cafe etoile in Paris'), ['cafe etoile']);
+});
+
+test('drops legal suffixes from names', () => {
+    const matcher = createBrandMatcher({ name: 'Acme Widgets, Inc.' });
+    assert.deepEqual(matched(matcher, 'Acme Widgets makes widgets'), ['Acme Widgets']);
+});
+
+test('tolerates a typo in a long name but not in a short one', () => {
+    assert.equal(createBrandMatcher({ name: 'Greenbanana' }).isMentioned('greenbanan is good'), true);
+    assert.equal(createBrandMatcher({ name: 'Acme' }).isMentioned('Acne treatments'), false);
+    assert.equal(createBrandMatcher({ name: 'Greenbanana', fuzzy: false }).isMentioned('greenbanan is good'), false);
+});
+
+test('does not match inside longer words', () => {
+    const matcher = createBrandMatcher({ name: 'Acme' });
+    assert.equal(matcher.isMentioned('Acmeville town hall'), false);
+    assert.equal(matcher.isMentioned('the acme of design'), true);
+});
+
+test('matches website-derived aliases only as a joined word or a domain', () => {
+    const matcher = createBrandMatcher({ website: 'https://seoservices.com' });
+    assert.equal(matcher.isMentioned('the top SEO services companies'), false);
+    assert.equal(matcher.isMentioned('seo-services'), false);
+    assert.equal(matcher.isMentioned('SEOServices is one option'), true);
+    assert.equal(matcher.isMentioned('visit seoservices.com'), true);
+});
+
+test('a domain name that is an ordinary word only matches as the domain', () => {
+    const plumbing = createBrandMatcher({ website: 'https://plumbing.com' });
+    assert.equal(plumbing.isMentioned('best plumbing companies'), false);
+    assert.equal(plumbing.isMentioned('Plumbing is hard'), false);
+    assert.deepEqual(matched(plumbing, 'see plumbing.com'), ['plumbing.com']);
+
+    const best = createBrandMatcher({ website: 'https://best.com' });
+    assert.equal(best.isMentioned('the best agency'), false);
+    assert.equal(best.isMentioned('Best.com reviews'), true);
+});
+
+test('a hyphenated domain name matches written with its hyphens', () => {
+    const matcher = createBrandMatcher({ website: 'https://green-banana.co.uk' });
+    assert.equal(matcher.isMentioned('green-banana is an agency'), true);
+    assert.equal(matcher.isMentioned('a green banana'), false);
+});
+
+test('prefers the longest exact alias', () => {
+    const matcher = createBrandMatcher({ name: 'Acme Digital', aliases: ['Acme'] });
+    assert.deepEqual(matched(matcher, 'We like Acme Digital a lot'), ['Acme Digital']);
+    assert.deepEqual(matched(matcher, 'Acme is fine'), ['Acme']);
+});
+
+test('a name that compacts like the domain still matches as free text', () => {
+    const matcher = createBrandMatcher({ name: 'SEO Services', website: 'https://seoservices.com' });
+    assert.equal(matcher.isMentioned('the top SEO services companies'), true);
+});
+
+test('buildAliases skips aliases that are too short or repeated', () => {
+    const aliases = buildAliases({ name: 'AB', website: 'https://acme.co.uk', aliases: ['Acme', 'ACME'] });
+    assert.deepEqual(aliases.map(alias => alias.compact), ['acme', 'acmecouk']);
+    assert.deepEqual(aliases.map(alias => alias.kind), ['name', 'domain']);
+});
+
+test('matches unspaced scripts character by character', () => {
+    const matcher = createBrandMatcher({ name: '株式会社アクメ' });
+    assert.equal(matcher.isMentioned('おすすめは株式会社アクメです'), true);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// fileStore reads DATA_DIR when it is first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-store-'));
+process.env.DATA_DIR = dataDir;
+const LeadStore = require('../lib/leadStore');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+let files = 0;
+const freshStore = () => new LeadStore(`leads-${++files}.jsonl`);
+
+const writeLegacy = rows => {
+    const file = path.join(dataDir, `legacy-${++files}.json`);
+    fs.writeFileSync(file, JSON.stringify(rows));
+    return file;
+};
+
+test('a repeat submission with the same email and website updates the lead', async () => {
+    const store = freshStore();
+    const first = await store.save({ email: 'Ann@Example.com', website: 'https://www.acme.com/', keywords: ['seo'], timestamp: '2024-01-01T00:00:00.000Z' });
+    const again = await store.save({ email: 'ann@example.com ', website: 'acme.com', keywords: ['ppc'], timestamp: '2024-02-01T00:00:00.000Z' });
+
+    assert.equal(first.created, true);
+    assert.equal(again.created, false);
+    assert.equal(again.lead.id, first.lead.id);
+    assert.equal(again.lead.submissions, 2);
+    assert.equal(again.lead.timestamp, '2024-01-01T00:00:00.000Z');
+    assert.equal(again.lead.lastSubmittedAt, '2024-02-01T00:00:00.000Z');
+    assert.deepEqual(again.lead.keywords, ['ppc']);
+
+    const leads = await store.list();
+    assert.equal(leads.length, 1);
+    assert.equal((await store.get(first.lead.id)).submissions, 2);
+});
+
+test('a different website or email is a new lead', async () => {
+    const store = freshStore();
+    await store.save({ email: 'ann@example.com', website: 'acme.com' });
+    await store.save({ email: 'ann@example.com', website: 'globex.com' });
+    await store.save({ email: 'bob@example.com', website: 'acme.com' });
+    assert.equal((await store.list()).length, 3);
+});
+
+test('concurrent submissions from the same person make one lead', async () => {
+    const store = freshStore();
+    await Promise.all([1, 2, 3].map(() => store.save({ email: 'ann@example.com', website: 'acme.com' })));
+    const leads = await store.list();
+    assert.equal(leads.length, 1);
+    assert.equal(leads[0].submissions, 3);
+});
+
+test('another store on the same file sees saved leads', async () => {
+    const store = freshStore();
+    const { lead } = await store.save({ email: 'ann@example.com', website: 'acme.com' });
+    const other = new LeadStore(store.file);
+    assert.equal((await other.get(lead.id)).email, 'ann@example.com');
+});
+
+test('importLegacy imports oldest first, merging duplicates and keeping old ids', async () => {
+    const store = freshStore();
+    const file = writeLegacy([
+        { id: 1700000200, email: 'ann@example.com', website: 'acme.com', company: 'Acme 2', timestamp: '2024-01-02T00:00:00.000Z' },
+        { id: 1700000100, email: 'ann@example.com', website: 'https://acme.com', company: 'Acme', timestamp: '2024-01-01T00:00:00.000Z' },
+        { email: 'bob@example.com', website: 'globex.com', timestamp: '2024-01-03T00:00:00.000Z' }
+    ]);
+
+    assert.deepEqual(await store.importLegacy(file), { imported: 2, merged: 1, skipped: 0 });
+
+    const leads = await store.list();
+    assert.equal(leads.length, 2);
+
+    const ann = await store.get('1700000100');
+    assert.equal(ann.company, 'Acme 2');
+    assert.equal(ann.submissions, 2);
+    assert.equal(ann.timestamp, '2024-01-01T00:00:00.000Z');
+    // The merged row's id still finds the lead, as a string or a number
+    assert.equal((await store.get(1700000200)).id, '1700000100');
+    // Rows without an id get one from their position
+    assert.equal((await store.get('row-2')).email, 'bob@example.com');
+});
+
+test('importLegacy skips rows already imported', async () => {
+    const store = freshStore();
+    const file = writeLegacy([{ id: 1, email: 'ann@example.com', website: 'acme.com' }]);
+
+    await store.importLegacy(file);
+    assert.deepEqual(await store.importLegacy(file), { imported: 0, merged: 0, skipped: 1 });
+    assert.equal((await store.list()).length, 1);
+});
+
+test('importLegacy folds legacy rows into leads saved since', async () => {
+    const store = freshStore();
+    const { lead } = await store.save({ email: 'ann@example.com', website: 'acme.com', timestamp: '2024-03-01T00:00:00.000Z' });
+    const file = writeLegacy([{ id: 7, email: 'ANN@example.com', website: 'www.acme.com', timestamp: '2024-01-01T00:00:00.000Z' }]);
+
+    assert.deepEqual(await store.importLegacy(file), { imported: 0, merged: 1, skipped: 0 });
+    assert.equal((await store.get('7')).id, lead.id);
+});
+
+test('importLegacy without a legacy file imports nothing', async () => {
+    const store = freshStore();
+    assert.deepEqual(await store.importLegacy(path.join(dataDir, 'missing.json')), { imported: 0, merged: 0, skipped: 0 });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRankedList, findRank, extractName, findUrl } = require('../lib/rankedListParser');
+const { createBrandMatcher } = require('../lib/brandMatcher');
+
+const names = list => list.map(found => found.name);
+
+test('reads a markdown table by its name and website columns', () => {
+    const list = parseRankedList([
+        'Here is a comparison:',
+        '',
+        '| Rank | Agency | Website | Rating |',
+        '|------|--------|---------|--------|',
+        '| 1 | **Bruce Clay** | bruceclay.com | 4.9 |',
+        '| 2 | GreenBanana SEO | [site](https://greenbananaseo.com) | 4.8 |',
+        '| 3 | WebFX | webfx.com | 4.5 |'
+    ].join('\n'));
+
+    assert.deepEqual(names(list), ['Bruce Clay', 'GreenBanana SEO', 'WebFX']);
+    assert.deepEqual(list.map(found => found.rank), [1, 2, 3]);
+    assert.equal(list[0].source, 'table');
+    assert.equal(list[1].url, 'https://greenbananaseo.com');
+});
+
+test('reads French table headers', () => {
+    const list = parseRankedList([
+        '| Rang | Agence | Site |',
+        '| --- | --- | --- |',
+        '| 1 | Agence Alpha | alpha.fr |',
+        '| 2 | Agence Beta | beta.fr |'
+    ].join('\n'));
+
+    assert.deepEqual(names(list), ['Agence Alpha', 'Agence Beta']);
+    assert.equal(list[1].url, 'beta.fr');
+});
+
+test('reads a numbered list and skips nested details', () => {
+    const list = parseRankedList([
+        'Top agencies:',
+        '',
+        '1. **Bruce Clay** (bruceclay.com) - great SEO.',
+        '   - **Services:** SEO, PPC',
+        '2. **GreenBanana SEO** - excellent reviews.',
+        '3. WebFX: full-service agency'
+    ].join('\n'));
+
+    assert.deepEqual(names(list), ['Bruce Clay', 'GreenBanana SEO', 'WebFX']);
+    assert.equal(list[0].source, 'numbered');
+    assert.equal(list[0].url, 'bruceclay.com');
+});
+
+test('reads numbered headings', () => {
+    const list = parseRankedList('### 1. Acme\nGood.\n### 2. Globex\nAlso good.');
+    assert.deepEqual(names(list), ['Acme', 'Globex']);
+});
+
+test('falls back to bold names and domains in prose, in reading order', () => {
+    const list = parseRankedList('Many people like **Acme** (acme.com) for SEO and **Initech** for PPC.\nOthers prefer globex.com.');
+
+    assert.deepEqual(names(list), ['Acme', 'Initech', 'globex.com']);
+    assert.equal(list[0].source, 'prose');
+    // A domain belongs to the bold name before it, up to the next one
+    assert.equal(list[0].url, 'acme.com');
+    assert.equal(list[1].url, null);
+});
+
+test('drops repeated entities', () => {
+    const list = parseRankedList('1. Acme - first\n2. ACME - again\n3. Globex - third');
+    assert.deepEqual(names(list), ['Acme', 'Globex']);
+    assert.equal(list[1].rank, 2);
+});
+
+test('returns an empty list when nothing is recommended', () => {
+    assert.deepEqual(parseRankedList('I cannot recommend specific companies.'), []);
+    assert.deepEqual(parseRankedList(''), []);
+});
+
+test('findRank matches an entity by name or URL', () => {
+    const list = parseRankedList('1. **Bruce Clay** - great\n2. Top pick (greenbananaseo.com) - fast');
+    assert.equal(findRank(list, createBrandMatcher({ name: 'Bruce Clay' })), 1);
+    assert.equal(findRank(list, createBrandMatcher({ website: 'https://greenbananaseo.com' })), 2);
+    assert.equal(findRank(list, createBrandMatcher({ name: 'Globex' })), null);
+});
+
+test('extractName and findUrl', () => {
+    assert.equal(extractName('**Acme Corp** - great reviews'), 'Acme Corp');
+    assert.equal(extractName('[Acme](https://acme.com): trusted'), 'Acme');
+    assert.equal(extractName('Acme Corp (acme.com) – trusted'), 'Acme Corp');
+    assert.equal(findUrl('See https://acme.com/about.'), 'https://acme.com/about');
+    assert.equal(findUrl('Visit Acme.com today'), 'acme.com');
+    assert.equal(findUrl('No link here'), null);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { wilsonInterval, rankStats, summarizeSamples, pickRepresentative, poolSamples } = require('../lib/sampling');
+
+test('wilsonInterval matches the 95% Wilson score interval', () => {
+    assert.deepEqual(wilsonInterval(5, 10), [0.237, 0.763]);
+    assert.deepEqual(wilsonInterval(8, 10), [0.49, 0.943]);
+    assert.deepEqual(wilsonInterval(1, 1), [0.207, 1]);
+});
+
+test('wilsonInterval stays inside [0, 1] at 0 and n', () => {
+    assert.deepEqual(wilsonInterval(0, 10), [0, 0.278]);
+    assert.deepEqual(wilsonInterval(10, 10), [0.722, 1]);
+    assert.deepEqual(wilsonInterval(0, 0), [0, 1]);
+});
+
+test('rankStats summarises the ranks given', () => {
+    assert.equal(rankStats([]), null);
+    assert.deepEqual(rankStats([3, 1, 2, 1]), {
+        ranked: 4, min: 1, max: 3, median: 1.5, mean: 1.75, distribution: { 1: 2, 2: 1, 3: 1 }
+    });
+});
+
+test('summarizeSamples reports probability, interval and reliability', () => {
+    const analyses = [
+        { mentioned: true, position: 2 },
+        { mentioned: true, position: 4 },
+        { mentioned: false, position: null },
+        { mentioned: true, position: null }
+    ];
+    const stats = summarizeSamples(analyses, { samplesPerPrompt: 4 });
+
+    assert.equal(stats.samples, 4);
+    assert.equal(stats.mentions, 3);
+    assert.equal(stats.mentionProbability, 0.75);
+    assert.deepEqual(stats.interval, wilsonInterval(3, 4));
+    assert.equal(stats.rank.median, 3);
+    assert.equal(stats.reliable, false);
+});
+
+test('a single answer or an early stop is never reliable', () => {
+    assert.equal(summarizeSamples([{ mentioned: true, position: 1 }]).reliable, false);
+
+    const many = Array.from({ length: 20 }, () => ({ mentioned: true, position: 1 }));
+    assert.equal(summarizeSamples(many, { samplesPerPrompt: 10 }).reliable, true);
+    assert.equal(summarizeSamples(many, { samplesPerPrompt: 10, stoppedEarly: true }).reliable, false);
+});
+
+test('pickRepresentative takes the mentioned answer nearest the median rank', () => {
+    const analyses = [
+        { mentioned: true, position: 1, responseLength: 10 },
+        { mentioned: true, position: 3, responseLength: 10 },
+        { mentioned: true, position: 5, responseLength: 10 },
+        { mentioned: false, position: null, responseLength: 50 }
+    ];
+    const stats = summarizeSamples(analyses, { samplesPerPrompt: 4 });
+    assert.equal(pickRepresentative(analyses, stats).position, 3);
+});
+
+test('pickRepresentative takes the longest unmentioned answer when most miss the client', () => {
+    const analyses = [
+        { mentioned: true, position: 1, responseLength: 10 },
+        { mentioned: false, position: null, responseLength: 20 },
+        { mentioned: false, position: null, responseLength: 80 }
+    ];
+    const stats = summarizeSamples(analyses, { samplesPerPrompt: 3 });
+    assert.equal(pickRepresentative(analyses, stats).responseLength, 80);
+});
+
+test('poolSamples averages probability over keywords', () => {
+    const a = summarizeSamples([{ mentioned: true, position: 1 }, { mentioned: true, position: 2 }], { samplesPerPrompt: 2 });
+    const b = summarizeSamples([{ mentioned: false }, { mentioned: false }], { samplesPerPrompt: 2 });
+    const pooled = poolSamples([a, b]);
+    assert.equal(pooled.mentionProbability, 0.5);
+    assert.equal(pooled.samples, 4);
+    assert.deepEqual(pooled.rankDistribution, { 1: 1, 2: 1 });
+});
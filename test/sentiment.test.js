@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyBrand, scoreSentence, sentenceAround } = require('../lib/sentiment');
+
+const mentionOf = (content, name) => {
+    const start = content.indexOf(name);
+    return { start, end: start + name.length };
+};
+
+test('scores cues in the sentence around the mention', () => {
+    const content = 'Acme is highly recommended. Globex has many complaints.';
+    assert.equal(sentenceAround(content, 0, 4), 'Acme is highly recommended.');
+    assert.equal(classifyBrand(content, [mentionOf(content, 'Acme')]).sentiment, 'positive');
+    assert.equal(classifyBrand(content, [mentionOf(content, 'Globex')]).sentiment, 'negative');
+});
+
+test('a negation flips a positive cue', () => {
+    assert.deepEqual(scoreSentence("Acme isn't the best choice"), { score: -1, cues: ['not best'] });
+});
+
+test('French and Spanish answers use their own cues and negations', () => {
+    assert.equal(scoreSentence('Acme est une agence réputée et fiable.', 'fr').score, 2);
+    assert.deepEqual(scoreSentence("Acme n’est pas recommandée", 'fr'), { score: -1, cues: ['not recommandée'] });
+    assert.equal(scoreSentence('Acme a reçu des avis négatifs.', 'fr').score, -1.5);
+    assert.equal(scoreSentence('Acme es la mejor opción.', 'es').score, 1);
+    assert.deepEqual(scoreSentence('Acme no es recomendable', 'es'), { score: -1, cues: ['not recomendable'] });
+    assert.equal(scoreSentence('Cuidado con Acme: muchas quejas.', 'es').score, -3);
+});
+
+test('no sentiment for a language without a lexicon or without mentions', () => {
+    const content = 'Acme ist sehr empfehlenswert.';
+    assert.equal(classifyBrand(content, [mentionOf(content, 'Acme')], 'de'), null);
+    assert.equal(classifyBrand(content, [], 'en'), null);
+});